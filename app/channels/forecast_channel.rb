@@ -0,0 +1,59 @@
+# frozen_string_literal: true
+
+# Pushes forecasts to the browser as soon as WeatherForecastService fetches them, so
+# every open page showing a place gets its newest reading without looking it up again.
+#
+# A page opens one subscription and sends `follow` with the keys of every place it
+# shows. Keys are the ones the browser's forecast cache uses (forecast/forecast_client.js):
+# "place:<Google place ID>", or "coords:<latitude>,<longitude>" with four decimals.
+# Each broadcast is `{ key:, fetched_at:, forecast: }`, where `forecast` is the body
+# POST /api/v1/forecasts responds with.
+class ForecastChannel < ApplicationCable::Channel
+  # Most places one subscription may follow.
+  MAX_KEYS = 200
+  # Keys a subscription may follow; anything else is ignored.
+  KEY_FORMAT = /\A(?:place:[\w-]{1,255}|coords:-?\d{1,3}\.\d{4},-?\d{1,3}\.\d{4})\z/
+
+  # @param key [String] A place key, e.g. "place:ChIJOwg_06VPwokRYv534QaPC8g".
+  # @return [String] The name of the stream broadcasts for that place go to.
+  def self.stream_name(key)
+    "forecast:#{key}"
+  end
+
+  # The keys a page may know a location by: its place ID (if any) and its coordinates.
+  # @param location [Location]
+  # @return [Array<String>]
+  def self.keys_for(location)
+    keys = []
+    keys << "place:#{location.google_place_id}" if location.google_place_id.present?
+    keys << format('coords:%.4f,%.4f', location.latitude, location.longitude) if location.latitude && location.longitude
+    keys
+  end
+
+  # Broadcasts a location's forecast to every page following it. Errors are logged
+  # rather than raised so an unreachable cable server never fails a lookup.
+  # @param location [Location]
+  # @param forecast [Hash] The forecast data just saved to the location.
+  # @return [void]
+  def self.broadcast_forecast(location, forecast = location.forecast_data)
+    body = location.forecast_response(forecast)
+    fetched_at = location.last_forecast_at&.iso8601
+    keys_for(location).each do |key|
+      ActionCable.server.broadcast(stream_name(key), { key: key, fetched_at: fetched_at, forecast: body })
+    end
+  rescue StandardError => e
+    Rails.logger.error "Failed to broadcast forecast for location ID #{location.id}: #{e.message}"
+  end
+
+  def subscribed
+    follow('keys' => params[:keys])
+  end
+
+  # Replaces the places this subscription follows with `data['keys']`.
+  # @param data [Hash] `{ 'keys' => [String] }`
+  def follow(data)
+    stop_all_streams
+    keys = Array(data['keys']).grep(String).select { |key| key.match?(KEY_FORMAT) }.uniq.first(MAX_KEYS)
+    keys.each { |key| stream_from self.class.stream_name(key) }
+  end
+end
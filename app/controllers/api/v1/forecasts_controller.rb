@@ -3,33 +3,90 @@
 module Api
   module V1
     class ForecastsController < ApplicationController
-      skip_before_action :verify_authenticity_token, only: [:create]
+      skip_before_action :verify_authenticity_token, only: [:create, :batch]
+
+      MAX_BATCH_SIZE = 20
+      GENERIC_ERROR_MESSAGE = 'An unexpected error occurred while processing the forecast request.'
+
+      # Raised by the lookup steps below to stop a lookup; rendered as { error: message }.
+      class LookupError < StandardError
+        attr_reader :status
+
+        def initialize(message, status)
+          super(message)
+          @status = status
+        end
+      end
 
       def create
-        location = determine_location
-        return unless location
+        render json: forecast_for(forecast_params), status: :ok
+      rescue LookupError => e
+        render_error(e.message, e.status)
+      rescue ActiveRecord::RecordInvalid => e
+        render_validation_error(e)
+      rescue StandardError => e
+        render_generic_error(e, GENERIC_ERROR_MESSAGE)
+      end
+
+      # Looks up several places in one request, e.g. the favourites grid on page load.
+      # Takes { lookups: [{ place_id, lat, lng, address }, ...] } and responds with
+      # { forecasts: [...] }, one entry per lookup in the same order: the body #create
+      # would return, or { error, status } with the status #create would have used.
+      def batch
+        lookups = batch_params
+        unless lookups.is_a?(Array) && lookups.size.between?(1, MAX_BATCH_SIZE)
+          return render_error("Lookups must be a list of 1 to #{MAX_BATCH_SIZE} places", :unprocessable_entity)
+        end
+
+        render json: { forecasts: lookups.map { |lookup| batch_result(lookup) } }, status: :ok
+      end
 
+      private
+
+      def forecast_for(lookup)
+        location = determine_location(lookup)
         validate_location_coordinates(location)
-        return unless location.valid?
+        raise LookupError.new(validation_message(location.errors), :unprocessable_entity) unless location.valid?
 
         forecast = fetch_weather_for(location)
-        return unless forecast
+        location.forecast_response(forecast)
+      end
 
-        render_success(location, forecast)
+      def batch_result(lookup)
+        forecast_for(lookup)
+      rescue LookupError => e
+        { error: e.message, status: Rack::Utils.status_code(e.status) }
       rescue ActiveRecord::RecordInvalid => e
-        render_validation_error(e)
+        { error: validation_message(e.record.errors), status: 422 }
       rescue StandardError => e
-        render_generic_error(e, 'An unexpected error occurred while processing the forecast request.')
+        Rails.logger.error "#{GENERIC_ERROR_MESSAGE}: #{e.message}"
+        { error: GENERIC_ERROR_MESSAGE, status: 500 }
       end
 
-      private
+      def determine_location(lookup)
+        return find_or_fetch_location_by_place_id(lookup[:place_id]) if lookup[:place_id].present?
+        return find_or_create_location_by_coordinates(lookup[:lat], lookup[:lng]) if coordinates_given?(lookup)
+        return find_or_create_location_by_address(lookup[:address]) if lookup[:address].present?
 
-      def determine_location
-        return find_or_fetch_location_by_place_id(forecast_params[:place_id]) if forecast_params[:place_id].present?
-        return find_or_create_location_by_address(forecast_params[:address]) if forecast_params[:address].present?
+        raise LookupError.new('Address, Place ID or coordinates are required', :unprocessable_entity)
+      end
 
-        render_error('Address or Place ID is required', :unprocessable_entity)
-        nil
+      def coordinates_given?(lookup)
+        lookup[:lat].present? && lookup[:lng].present?
+      end
+
+      # Handles raw coordinates (e.g. from the browser Geolocation API) sent without a place_id.
+      # Location's own range validations are skipped along with geocoding, so they are checked here.
+      def find_or_create_location_by_coordinates(lat, lng)
+        Rails.logger.info "Received forecast request for coordinates: #{lat}, #{lng}"
+        latitude = Float(lat, exception: false)
+        longitude = Float(lng, exception: false)
+
+        unless latitude&.between?(-90, 90) && longitude&.between?(-180, 180)
+          raise LookupError.new('Latitude must be between -90 and 90 and longitude between -180 and 180.', :unprocessable_entity)
+        end
+
+        Location.find_or_create_by_coordinates(latitude, longitude)
       end
 
       def find_or_create_location_by_address(address)
@@ -37,8 +94,7 @@ module Api
         Location.find_or_create_by(address: address)
       rescue ActiveRecord::RecordInvalid => e
         Rails.logger.error "Validation error creating location by address '#{address}': #{e.message}"
-        render_validation_error(e)
-        nil
+        raise LookupError.new(validation_message(e.record.errors), :unprocessable_entity)
       end
 
       def find_or_fetch_location_by_place_id(place_id)
@@ -48,34 +104,35 @@ module Api
 
         Rails.logger.info "No existing up-to-date location found for google_place_id: #{place_id}. Fetching details."
         place_details = fetch_google_place_details(place_id)
-        return nil unless place_details
-
         update_or_create_location_from_details(place_id, place_details)
       end
 
       def fetch_google_place_details(place_id)
         api_key = ENV['GOOGLE_MAPS_API_KEY']
-        return render_error('Server configuration error: Missing Google API key.', :internal_server_error) unless api_key
+        raise LookupError.new('Server configuration error: Missing Google API key.', :internal_server_error) unless api_key
 
         fields = %w[formatted_address geometry/location name place_id].join(',')
         url = "https://maps.googleapis.com/maps/api/place/details/json?place_id=#{place_id}&fields=#{fields}&key=#{api_key}"
         Rails.logger.info "Fetching place details from Google: #{url.gsub(api_key, '[REDACTED]')}"
 
         response = HTTParty.get(url)
-        return handle_google_api_error(response) unless response.success? && response.parsed_response['status'] == 'OK'
+        handle_google_api_error(response) unless response.success? && response.parsed_response['status'] == 'OK'
 
         response.parsed_response['result']
+      rescue LookupError
+        raise
       rescue StandardError => e
         Rails.logger.error "HTTParty error fetching Google Place details: #{e.message}"
-        render_error('Failed to communicate with Google Places service.', :service_unavailable)
-        nil
+        raise LookupError.new('Failed to communicate with Google Places service.', :service_unavailable)
       end
 
       def update_or_create_location_from_details(place_id, details)
         formatted_address = details['formatted_address']
         lat = details.dig('geometry', 'location', 'lat')
         lng = details.dig('geometry', 'location', 'lng')
-        return render_error('Could not retrieve complete location details from Google for the provided place_id.', :unprocessable_entity) unless lat.present? && lng.present? && formatted_address.present?
+        unless lat.present? && lng.present? && formatted_address.present?
+          raise LookupError.new('Could not retrieve complete location details from Google for the provided place_id.', :unprocessable_entity)
+        end
 
         location = Location.find_or_initialize_by(google_place_id: place_id)
         location.assign_attributes(
@@ -85,7 +142,7 @@ module Api
           skip_geocoding: true
         )
 
-        return render_validation_error_explicit(location.errors) unless location.save
+        raise LookupError.new(validation_message(location.errors), :unprocessable_entity) unless location.save
 
         Rails.logger.info "Location #{location.previously_new_record? ? 'created' : 'updated'} (ID: #{location.id}) with Google Place Details for place_id: #{place_id}"
         location
@@ -97,7 +154,7 @@ module Api
         log_msg = "Location (ID: #{location&.id}, Address: '#{location&.address}', PlaceID: '#{location&.google_place_id}') missing coordinates after fetch/geocode."
         Rails.logger.error log_msg
         location.errors.add(:base, 'Could not determine coordinates for the provided input.')
-        render_error(location.errors.full_messages.join(', '), :unprocessable_entity)
+        raise LookupError.new(location.errors.full_messages.join(', '), :unprocessable_entity)
       end
 
       def fetch_weather_for(location)
@@ -106,18 +163,7 @@ module Api
         service.fetch_forecast
       rescue WeatherForecastService::ForecastError => e
         Rails.logger.error "WeatherForecastService error for Location ID #{location.id}: #{e.message}"
-        render_error(e.message, :internal_server_error)
-        nil
-      end
-
-      def render_success(location, forecast)
-        render json: {
-          google_place_id: location.google_place_id,
-          address: location.address,
-          latitude: location.latitude,
-          longitude: location.longitude,
-          forecast: forecast
-        }, status: :ok
+        raise LookupError.new(e.message, :internal_server_error)
       end
 
       def render_error(message, status)
@@ -125,11 +171,11 @@ module Api
       end
 
       def render_validation_error(exception)
-        render_error("Validation error: #{exception.record.errors.full_messages.join(', ')}", :unprocessable_entity)
+        render_error(validation_message(exception.record.errors), :unprocessable_entity)
       end
 
-      def render_validation_error_explicit(errors)
-        render_error("Validation error: #{errors.full_messages.join(', ')}", :unprocessable_entity)
+      def validation_message(errors)
+        "Validation error: #{errors.full_messages.join(', ')}"
       end
 
       def render_generic_error(exception, message = 'An unexpected error occurred.')
@@ -142,11 +188,19 @@ module Api
         status = response.parsed_response['status']
         message = response.parsed_response['error_message'] || 'Unknown Google API error'
         Rails.logger.error "Google Places API error: Status: #{status}, Message: #{message}"
-        render_error("Failed to fetch location details from Google. Status: #{status}", :service_unavailable)
+        raise LookupError.new("Failed to fetch location details from Google. Status: #{status}", :service_unavailable)
       end
 
       def forecast_params
-        params.permit(:address, :place_id)
+        params.permit(:address, :place_id, :lat, :lng)
+      end
+
+      # nil unless `lookups` is a list; each lookup is permitted like #forecast_params.
+      def batch_params
+        lookups = params[:lookups]
+        return nil unless lookups.is_a?(Array)
+
+        lookups.map { |lookup| lookup.respond_to?(:permit) ? lookup.permit(:address, :place_id, :lat, :lng) : ActionController::Parameters.new }
       end
     end
   end
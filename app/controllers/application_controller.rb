@@ -4,9 +4,24 @@ class ApplicationController < ActionController::Base
   protect_from_forgery with: :exception
 
   before_action :set_security_headers
+  around_action :switch_locale
+
+  helper_method :forecast_translations
 
   private
 
+  # Uses ?locale= when it names an available locale, otherwise the default.
+  def switch_locale(&action)
+    locale = params[:locale].presence_in(I18n.available_locales.map(&:to_s)) || I18n.default_locale
+    I18n.with_locale(locale, &action)
+  end
+
+  # The `forecast` strings of every available locale, embedded in the layout for the
+  # Stimulus controllers (see app/javascript/forecast/i18n.js).
+  def forecast_translations
+    I18n.available_locales.index_with { |locale| I18n.t('forecast', locale: locale) }
+  end
+
   def set_security_headers
     response.headers['X-Frame-Options'] = 'SAMEORIGIN'
     response.headers['X-XSS-Protection'] = '1; mode=block'
@@ -0,0 +1,28 @@
+# frozen_string_literal: true
+
+# Serves the service worker (app/views/service_worker/show.js.erb) from the site root so
+# it controls every page. The worker caches the app shell and the most recent forecast
+# responses so the page keeps working on a flaky connection.
+class ServiceWorkerController < ApplicationController
+  # Browsers fetch the worker script themselves rather than through XHR, which the
+  # cross-origin JavaScript check would otherwise reject.
+  skip_forgery_protection
+
+  def show
+    @shell_urls = shell_urls
+    # Fingerprinted asset URLs change on deploy, and with them the worker's shell cache.
+    @cache_version = Digest::SHA256.hexdigest(@shell_urls.join("\n")).first(12)
+    response.headers['Cache-Control'] = 'no-cache' # Browsers look for a new worker on every visit
+    render formats: :js, content_type: 'text/javascript'
+  end
+
+  private
+
+  # URLs cached when the worker installs: the page, its stylesheet and icon, and every
+  # module in the import map.
+  # @return [Array<String>]
+  def shell_urls
+    imports = JSON.parse(Rails.application.importmap.to_json(resolver: helpers)).fetch('imports').values
+    [root_path, helpers.asset_path('tailwind.css'), helpers.asset_path('rune.png'), *imports].uniq
+  end
+end
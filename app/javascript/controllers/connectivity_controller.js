@@ -0,0 +1,29 @@
+import { Controller } from "@hotwired/stimulus";
+import { t } from "forecast/i18n";
+import { isOffline, queuedLookups, registerServiceWorker, subscribeToConnectivity, subscribeToQueue } from "forecast/offline";
+
+// Offline banner. Registers the service worker, and while the browser is offline
+// explains that forecasts shown are the last known ones and how many lookups are
+// waiting to run.
+export default class extends Controller {
+  static targets = ["queued"];
+
+  connect() {
+    registerServiceWorker();
+    this.unsubscribeFromConnectivity = subscribeToConnectivity(() => this._render());
+    this.unsubscribeFromQueue = subscribeToQueue(() => this._render());
+    this._render();
+  }
+
+  disconnect() {
+    if (this.unsubscribeFromConnectivity) this.unsubscribeFromConnectivity();
+    if (this.unsubscribeFromQueue) this.unsubscribeFromQueue();
+  }
+
+  _render() {
+    this.element.hidden = !isOffline();
+    if (!this.hasQueuedTarget) return;
+    const count = queuedLookups().length;
+    this.queuedTarget.textContent = count > 0 ? t('offline.queued', { count }) : '';
+  }
+}
@@ -1,7 +1,147 @@
 import { Controller } from "@hotwired/stimulus";
+import { element } from "forecast/dom";
+import { clearDiagnostics, createLogger, diagnostics, isDebugEnabled, subscribeToDiagnostics } from "forecast/logger";
 
+const log = createLogger('Debug Controller');
+const MAX_EVENTS_SHOWN = 50;
+const TIMING_STEPS = [['toPlace', 'toPlace'], ['fetchFields', 'fetchFields'], ['api', 'API']];
+
+// Developer diagnostics overlay: every forecast lookup with its timings, cache use
+// and raw API response, plus the log of history and prune events. Only shown when
+// diagnostics are on (`application.debug = true` or `?debug` in the URL).
 export default class extends Controller {
   connect() {
-    console.log("[Debug Controller] Connected successfully to element:", this.element);
+    if (!isDebugEnabled()) return;
+    log.debug('Connected.', this.element);
+
+    this.openResponses = new Set(); // Lookup ids whose raw response is expanded
+    this.collapsed = false;
+    this.overlay = element('aside', 'debug-overlay fixed bottom-4 right-4 z-50 w-96 max-h-[70vh] overflow-y-auto bg-gray-900 text-gray-100 text-xs rounded-lg shadow-lg p-3');
+    this.overlay.setAttribute('aria-label', 'Diagnostics');
+    document.body.appendChild(this.overlay);
+
+    this.unsubscribe = subscribeToDiagnostics(() => this._scheduleRender());
+    this._render();
+  }
+
+  disconnect() {
+    if (this.unsubscribe) this.unsubscribe();
+    if (this.overlay) this.overlay.remove();
+    this.overlay = null;
+  }
+
+  // Diagnostics arrive in bursts (one lookup records several steps), so render once per frame.
+  _scheduleRender() {
+    if (this.renderScheduled || !this.overlay) return;
+    this.renderScheduled = true;
+    requestAnimationFrame(() => {
+      this.renderScheduled = false;
+      this._render();
+    });
+  }
+
+  _render() {
+    if (!this.overlay) return;
+    const { entries, lookups } = diagnostics();
+
+    const header = element('div', 'flex items-center justify-between mb-2');
+    header.appendChild(element('h2', 'font-semibold text-sm', 'Diagnostics'));
+    const actions = element('div', 'flex gap-2');
+    actions.append(
+      this._button('Clear', () => clearDiagnostics()),
+      this._button(this.collapsed ? 'Show' : 'Hide', () => {
+        this.collapsed = !this.collapsed;
+        this._render();
+      })
+    );
+    header.appendChild(actions);
+
+    if (this.collapsed) {
+      this.overlay.replaceChildren(header);
+      return;
+    }
+    this.overlay.replaceChildren(
+      header,
+      element('h3', 'font-semibold mt-2 mb-1 text-gray-300', `Lookups (${lookups.length})`),
+      this._buildLookups(lookups),
+      element('h3', 'font-semibold mt-3 mb-1 text-gray-300', 'Events'),
+      this._buildEvents(entries)
+    );
+  }
+
+  _button(label, onClick) {
+    const button = element('button', 'px-2 py-0.5 rounded border border-gray-600 hover:bg-gray-700', label);
+    button.type = 'button';
+    button.addEventListener('click', onClick);
+    return button;
+  }
+
+  _buildLookups(lookups) {
+    if (lookups.length === 0) return element('p', 'text-gray-400', 'No lookups yet.');
+
+    const list = element('ol', 'space-y-2');
+    lookups.slice().reverse().forEach(lookup => {
+      const item = element('li', 'border border-gray-700 rounded p-2');
+      item.appendChild(element('p', 'font-semibold', `#${lookup.id} ${this._describeRequest(lookup)}`));
+
+      const timings = TIMING_STEPS
+        .filter(([step]) => typeof lookup.timings[step] === 'number')
+        .map(([step, label]) => `${label} ${lookup.timings[step]} ms`);
+      item.appendChild(element('p', 'text-gray-300', [lookup.outcome || 'pending', ...timings].join(' · ')));
+
+      if (lookup.error) {
+        item.appendChild(element('p', 'text-red-300 break-all', `Error ${lookup.error.status || ''}: ${lookup.error.body || ''}`));
+      }
+      if (lookup.response) item.appendChild(this._buildRawResponse(lookup));
+      list.appendChild(item);
+    });
+    return list;
+  }
+
+  _describeRequest(lookup) {
+    const request = lookup.request || {};
+    const source = lookup.source ? `${lookup.source} ` : '';
+    if (request.place_id) return `${source}place ${request.place_id}`;
+    if (request.address) return `${source}address "${request.address}"`;
+    if (request.lat !== undefined) return `${source}coords ${request.lat}, ${request.lng}`;
+    return `${source}(awaiting place details)`;
+  }
+
+  _buildRawResponse(lookup) {
+    const details = element('details', 'mt-1');
+    details.open = this.openResponses.has(lookup.id);
+    details.addEventListener('toggle', () => {
+      if (details.open) {
+        this.openResponses.add(lookup.id);
+      } else {
+        this.openResponses.delete(lookup.id);
+      }
+    });
+    details.appendChild(element('summary', 'cursor-pointer text-gray-400', lookup.fromCache ? 'Raw response (cached)' : 'Raw response'));
+    details.appendChild(element('pre', 'mt-1 whitespace-pre-wrap break-all text-gray-200', JSON.stringify(lookup.response, null, 2)));
+    return details;
+  }
+
+  // Plain data objects are shown inline; DOM nodes, errors and Google objects are left to the console.
+  _describeData(data) {
+    if (!data || Object.getPrototypeOf(data) !== Object.prototype) return '';
+    try {
+      return ` ${JSON.stringify(data)}`;
+    } catch (error) {
+      return '';
+    }
+  }
+
+  _buildEvents(entries) {
+    if (entries.length === 0) return element('p', 'text-gray-400', 'No events yet.');
+
+    const levelClasses = { debug: 'text-gray-400', info: 'text-blue-300', warn: 'text-amber-300', error: 'text-red-300' };
+    const list = element('ol', 'space-y-0.5 font-mono');
+    entries.slice(-MAX_EVENTS_SHOWN).reverse().forEach(entry => {
+      const time = new Date(entry.time).toLocaleTimeString();
+      const text = `${time} ${entry.level.toUpperCase()} [${entry.scope}] ${entry.message}`;
+      list.appendChild(element('li', levelClasses[entry.level], `${text}${this._describeData(entry.data)}`));
+    });
+    return list;
   }
 }
@@ -0,0 +1,168 @@
+import { Controller } from "@hotwired/stimulus";
+import { element } from "forecast/dom";
+import { buildForecastCard } from "forecast/forecast_card";
+import { ForecastClient } from "forecast/forecast_client";
+import { fakeForecastBatchTransport, fakeForecastTransport, fakeServiceEnabled } from "forecast/fakes";
+import { loadFavorites, moveFavorite, removeFavorite, subscribeToFavorites } from "forecast/favorites_store";
+import { sameForecast, watchForecasts } from "forecast/forecast_updates";
+import { subscribeToConnectivity } from "forecast/offline";
+import { formatRelativeTime, t } from "forecast/i18n";
+import { urlForLookup } from "forecast/location_url";
+import { createLogger } from "forecast/logger";
+import { recordReading } from "forecast/place_readings";
+import { describeForecastError } from "forecast/request_errors";
+
+const log = createLogger('Favorites');
+
+// Grid of pinned places at the top of the page. All favourites are loaded with one
+// batch request on connect; places pinned later are loaded as they are added. Tiles
+// can be reordered by dragging or with their move buttons, and link to the full
+// forecast for the place. Tiles show new forecasts for their place as the server
+// broadcasts them.
+export default class extends Controller {
+  static targets = ["grid"];
+
+  connect() {
+    this.forecastClient = new ForecastClient(fakeServiceEnabled('forecasts') ? { transport: fakeForecastTransport, batchTransport: fakeForecastBatchTransport } : {});
+    this.results = new Map(); // favourite key -> { loading } | { data, timestamp, offline } | { error }
+    this.unsubscribe = subscribeToFavorites(() => this._load());
+    this.forecastUpdates = watchForecasts((key, data, timestamp) => this._receiveForecastUpdate(key, data, timestamp));
+    this.unsubscribeFromConnectivity = subscribeToConnectivity(online => online && this._reloadUnavailable());
+    this.boundRender = () => this._render();
+    window.addEventListener('units:changed', this.boundRender);
+    window.addEventListener('language:changed', this.boundRender);
+    this._load();
+  }
+
+  disconnect() {
+    if (this.unsubscribe) this.unsubscribe();
+    this.forecastUpdates.stop();
+    if (this.unsubscribeFromConnectivity) this.unsubscribeFromConnectivity();
+    window.removeEventListener('units:changed', this.boundRender);
+    window.removeEventListener('language:changed', this.boundRender);
+  }
+
+  // Renders the grid and fetches forecasts for favourites that don't have one yet.
+  async _load() {
+    const favorites = loadFavorites();
+    const keys = new Set(favorites.map(favorite => favorite.key));
+    [...this.results.keys()].forEach(key => keys.has(key) || this.results.delete(key)); // Re-pinning loads afresh
+    const missing = favorites.filter(favorite => !this.results.has(favorite.key));
+    missing.forEach(favorite => this.results.set(favorite.key, { loading: true }));
+    this.forecastUpdates.follow([...keys]);
+    this._render();
+    if (missing.length === 0) return;
+
+    try {
+      const results = await this.forecastClient.requestMany(missing.map(favorite => favorite.lookup));
+      results.forEach((result, index) => {
+        this.results.set(missing[index].key, result);
+        if (result.data) recordReading({ placeId: missing[index].lookup.place_id || null, forecastData: result.data, timestamp: result.timestamp });
+      });
+    } catch (error) {
+      log.error('Could not load favourites.', error);
+      missing.forEach(favorite => this.results.set(favorite.key, { error }));
+    }
+    this._render();
+  }
+
+  // Back online: loads afresh the favourites that failed or showed a last-known forecast.
+  _reloadUnavailable() {
+    this.results.forEach((result, key) => {
+      if (result.error || result.offline) this.results.delete(key);
+    });
+    this._load();
+  }
+
+  // Shows a forecast the server broadcast for a favourite (see forecast/forecast_updates).
+  _receiveForecastUpdate(key, data, timestamp) {
+    const result = this.results.get(key);
+    if (!result || (result.data && sameForecast(result.data, data))) return;
+    this.results.set(key, { key, data, timestamp });
+    this.forecastClient.remember(key, data, timestamp);
+    recordReading({ placeId: null, forecastData: data, timestamp });
+    this._render({ focus: this._focusedButton() });
+  }
+
+  // The tile button with focus, as a `focus` option for _render.
+  _focusedButton() {
+    const button = document.activeElement;
+    if (!this.hasGridTarget || !button || !button.dataset || !button.dataset.favoriteAction || !this.gridTarget.contains(button)) return null;
+    return { key: button.closest('[data-favorite-key]').dataset.favoriteKey, action: button.dataset.favoriteAction };
+  }
+
+  // `focus` ({ key, action }) names a tile button to focus again after re-rendering.
+  _render({ focus = null } = {}) {
+    if (!this.hasGridTarget) return;
+    const favorites = loadFavorites();
+    this.element.hidden = favorites.length === 0;
+
+    this.gridTarget.replaceChildren(...favorites.map((favorite, index) => this._buildTile(favorite, index, favorites)));
+    if (focus) {
+      const tile = Array.from(this.gridTarget.children).find(child => child.dataset.favoriteKey === focus.key);
+      const button = tile && tile.querySelector(`[data-favorite-action="${focus.action}"]`);
+      if (button && !button.disabled) button.focus();
+    }
+  }
+
+  _buildTile(favorite, index, favorites) {
+    const count = favorites.length;
+    const result = this.results.get(favorite.key) || { loading: true };
+    const address = (result.data && result.data.address) || favorite.address || t('address_not_available');
+
+    const tile = element('li', 'favorite-tile bg-white border border-gray-200 rounded-lg shadow-sm p-3 text-sm');
+    tile.dataset.favoriteKey = favorite.key;
+    tile.draggable = true;
+    tile.addEventListener('dragstart', (event) => {
+      event.dataTransfer.setData('text/plain', favorite.key);
+      event.dataTransfer.effectAllowed = 'move';
+    });
+    tile.addEventListener('dragover', (event) => event.preventDefault());
+    tile.addEventListener('drop', (event) => {
+      event.preventDefault();
+      moveFavorite(event.dataTransfer.getData('text/plain'), index);
+    });
+
+    const link = element('a', 'block font-semibold text-blue-700 hover:underline truncate', address);
+    link.href = urlForLookup(favorite.lookup, window.location.pathname);
+    tile.appendChild(link);
+
+    if (result.loading) {
+      tile.appendChild(element('p', 'text-gray-500 mt-1', t('favorites.loading')));
+    } else if (result.error) {
+      const { title } = describeForecastError(result.error);
+      tile.appendChild(element('p', 'forecast-error text-red-700 mt-1', title));
+    } else {
+      tile.appendChild(buildForecastCard(result.data, { compact: true, timeAgo: formatRelativeTime(result.timestamp), offline: !!result.offline }));
+    }
+
+    const actions = element('div', 'flex items-center justify-end gap-1 mt-2 text-xs');
+    actions.append(
+      this._button('←', t('favorites.move_earlier', { address }), 'earlier', index === 0, () => {
+        moveFavorite(favorite.key, index - 1);
+        this._render({ focus: { key: favorite.key, action: index - 1 === 0 ? 'later' : 'earlier' } });
+      }),
+      this._button('→', t('favorites.move_later', { address }), 'later', index === count - 1, () => {
+        moveFavorite(favorite.key, index + 1);
+        this._render({ focus: { key: favorite.key, action: index + 1 === count - 1 ? 'earlier' : 'later' } });
+      }),
+      this._button(t('favorites.unpin'), t('favorites.unpin_label', { address }), 'unpin', false, () => {
+        const neighbour = favorites[index + 1] || favorites[index - 1];
+        removeFavorite(favorite.key);
+        if (neighbour) this._render({ focus: { key: neighbour.key, action: 'unpin' } });
+      })
+    );
+    tile.appendChild(actions);
+    return tile;
+  }
+
+  _button(text, label, action, disabled, onClick) {
+    const button = element('button', 'px-2 py-0.5 rounded border border-gray-300 text-gray-600 hover:bg-gray-50 disabled:opacity-40 disabled:cursor-not-allowed', text);
+    button.type = 'button';
+    button.disabled = disabled;
+    button.dataset.favoriteAction = action;
+    button.setAttribute('aria-label', label);
+    button.addEventListener('click', onClick);
+    return button;
+  }
+}
@@ -1,53 +1,109 @@
 import { Controller } from "@hotwired/stimulus"
+import { buildErrorNotice, buildForecastCard } from "forecast/forecast_card"
+import { ForecastNetworkError, offlineFetchedAt, postForecast } from "forecast/forecast_client"
+import { fakeForecastTransport, fakeServiceEnabled } from "forecast/fakes"
+import { formatRelativeTime, t } from "forecast/i18n"
+import { createLogger } from "forecast/logger"
+import { isOffline, subscribeToConnectivity } from "forecast/offline"
+import { MAX_AUTOMATIC_RETRIES, RetryCountdown, describeForecastError, retryDelayMs } from "forecast/request_errors"
+
+const log = createLogger("Forecast")
 
 export default class extends Controller {
   static targets = ["form", "input", "results", "loading", "submitButton", "title"]
 
   connect() {
-    // console.log("Forecast controller connected")
+    log.debug("Connected.")
+    this.boundUnitsChanged = this.unitsChanged.bind(this)
+    window.addEventListener("units:changed", this.boundUnitsChanged)
+    window.addEventListener("language:changed", this.boundUnitsChanged)
+    this.retryAttempt = 0
+    this.retryCountdown = new RetryCountdown({
+      onTick: seconds => this.showRetryCountdown(seconds),
+      onRetry: () => this.lookup(this.lastLocation)
+    })
+    // A lookup made while offline runs once the connection returns
+    this.unsubscribeFromConnectivity = subscribeToConnectivity(online => {
+      if (online && this.queuedLocation) this.lookup(this.queuedLocation)
+    })
+  }
+
+  disconnect() {
+    window.removeEventListener("units:changed", this.boundUnitsChanged)
+    window.removeEventListener("language:changed", this.boundUnitsChanged)
+    this.retryCountdown.cancel()
+    this.unsubscribeFromConnectivity()
+  }
+
+  // Re-renders the last forecast in the newly selected unit system or language.
+  unitsChanged() {
+    if (this.lastForecast) this.renderForecast(this.lastForecast)
   }
 
   async search(event) {
     event.preventDefault()
-    this.titleTarget.textContent = "Weather Forecast - Button Clicked"
+    this.titleTarget.textContent = t("title")
     const location = this.inputTarget.value.trim()
 
     if (!location) {
-      this.showError("Please enter an address")
+      this.retryCountdown.cancel()
+      this.showError(t("errors.enter_address"))
       return
     }
 
+    this.retryAttempt = 0
+    await this.lookup(location)
+  }
+
+  async lookup(location) {
+    this.lastLocation = location
+    this.queuedLocation = null
+    this.retryCountdown.cancel()
     this.showLoading()
 
     try {
-      const response = await fetch('/api/v1/forecasts', {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'X-CSRF-Token': document.querySelector('meta[name="csrf-token"]').content
-        },
-        body: JSON.stringify({ address: location })
-      })
-      const data = await response.json()
-
-      if (response.ok) {
-        this.renderForecast(data)
-      } else {
-        this.showError(data.error || "Failed to fetch forecast")
-      }
+      const transport = fakeServiceEnabled("forecasts") ? fakeForecastTransport : postForecast
+      this.renderForecast(await transport({ address: location }))
+      this.retryAttempt = 0
     } catch (error) {
-      this.showError("Network error. Please try again.")
-      console.error("Forecast error:", error)
+      if (error instanceof ForecastNetworkError && isOffline()) {
+        this.queuedLocation = location
+        this.showError(t("offline.lookup_queued", { place: location }))
+        return
+      }
+      log.error("Forecast error:", error)
+      this.showRequestError(error)
     } finally {
       this.hideLoading()
     }
   }
 
+  // Shows why the lookup failed. Transient failures are retried automatically with
+  // exponential backoff, up to MAX_AUTOMATIC_RETRIES times in a row.
+  showRequestError(error) {
+    const { title, message, retryable, transient } = describeForecastError(error)
+    const retry = () => {
+      this.retryAttempt = 0
+      this.lookup(this.lastLocation)
+    }
+    this.resultsTarget.replaceChildren(buildErrorNotice(message, { title, onRetry: retryable ? retry : null }))
+
+    if (transient && this.retryAttempt < MAX_AUTOMATIC_RETRIES) {
+      this.retryCountdown.start(retryDelayMs(this.retryAttempt))
+      this.retryAttempt += 1
+    }
+  }
+
+  showRetryCountdown(seconds) {
+    const countdown = this.resultsTarget.querySelector(".forecast-retry-countdown")
+    if (countdown) countdown.textContent = t("errors.retrying_in", { seconds })
+  }
+
   showLoading() {
     this.loadingTarget.classList.remove("hidden")
     this.submitButtonTarget.disabled = true
     this.submitButtonTarget.classList.add("opacity-50", "cursor-not-allowed")
-    this.resultsTarget.innerHTML = ""
+    this.resultsTarget.replaceChildren()
   }
 
   hideLoading() {
@@ -57,38 +113,20 @@ export default class extends Controller {
   }
 
   showError(message) {
-    this.resultsTarget.innerHTML = `
-      <div class="bg-red-50 border-l-4 border-red-500 p-4 mb-4">
-        <div class="flex">
-          <div class="flex-shrink-0">
-            <svg class="h-5 w-5 text-red-400" viewBox="0 0 20 20" fill="currentColor">
-              <path fill-rule="evenodd" d="M10 18a8 8 0 100-16 8 8 0 000 16zM8.707 7.293a1 1 0 00-1.414 1.414L8.586 10l-1.293 1.293a1 1 0 101.414 1.414L10 11.414l1.293 1.293a1 1 0 001.414-1.414L11.414 10l1.293-1.293a1 1 0 00-1.414-1.414L10 8.586 8.707 7.293z" clip-rule="evenodd"/>
-            </svg>
-          </div>
-          <div class="ml-3">
-            <p class="text-sm text-red-700">${message}</p>
-          </div>
-        </div>
-      </div>
-    `
+    this.resultsTarget.replaceChildren(buildErrorNotice(message))
   }
 
   renderForecast(data) {
-    const html = `
-      <div class="bg-white shadow rounded-lg p-6 transition-all duration-300 ease-in-out transform hover:scale-[1.02]">
-        <h2 class="text-2xl font-bold mb-4 text-gray-800">${data.address}</h2>
-        <div class="grid grid-cols-1 md:grid-cols-2 gap-4">
-          <div>
-            <p class="text-gray-600">Current Conditions</p>
-            <p class="text-xl mt-2 text-gray-800">${data.forecast.current.conditions}</p>
-          </div>
-          <div class="text-right">
-            <p class="text-3xl font-bold text-gray-800">${data.forecast.current.temp_f}°F</p>
-            <p class="text-gray-600">High: ${data.forecast.forecast[0].high_f}°F | Low: ${data.forecast.forecast[0].low_f}°F</p>
-          </div>
-        </div>
-      </div>
-    `
-    this.resultsTarget.innerHTML = html
+    this.lastForecast = data
+    const card = document.createElement("div")
+    card.className = "bg-white shadow rounded-lg p-6 transition-all duration-300 ease-in-out"
+    const offlineAt = offlineFetchedAt(data) // Last-known forecast from the service worker
+    card.appendChild(buildForecastCard(data, {
+      showAddress: true,
+      includeDailyForecast: true,
+      offline: !!offlineAt,
+      timeAgo: offlineAt ? formatRelativeTime(offlineAt) : undefined
+    }))
+    this.resultsTarget.replaceChildren(card)
   }
-} 
\ No newline at end of file
+}
@@ -1,50 +1,123 @@
 import { Controller } from "@hotwired/stimulus";
+import { loadForecasts, newForecastItemId, saveForecasts, subscribeToForecasts } from "forecast/history_store";
+import { buildErrorNotice, buildForecastCard, changedReadings } from "forecast/forecast_card";
+import { buildComparisonTable } from "forecast/comparison_table";
+import { formatRelativeTime, t } from "forecast/i18n";
+import { lookupFromUrl, urlForLookup } from "forecast/location_url";
+import { mountPlaceSearch } from "forecast/place_search";
+import { FORECAST_FRESHNESS_MS, ForecastClient, ForecastNetworkError, ForecastRequestError, forecastItemKey } from "forecast/forecast_client";
+import { fakeForecastTransport, fakeServiceEnabled } from "forecast/fakes";
+import { getHistoryPreferences, historyItemMatches, setHistoryPreferences, sortHistoryItems } from "forecast/history_preferences";
+import { addFavorite, isFavorite, loadFavorites, removeFavorite, subscribeToFavorites } from "forecast/favorites_store";
+import { ForecastImportError, downloadFile, forecastsFromJson, forecastsToCsv, forecastsToJson } from "forecast/history_export";
+import { createLogger, timeLookupStep, traceLookup } from "forecast/logger";
+import { MAX_AUTOMATIC_RETRIES, RetryCountdown, describeForecastError, retryDelayMs } from "forecast/request_errors";
+import { ForecastRefresher } from "forecast/auto_refresh";
+import { sameForecast, watchForecasts } from "forecast/forecast_updates";
+import { readingsFor, recordReading } from "forecast/place_readings";
+import { buildTemperatureSparkline } from "forecast/sparkline";
+import { isOffline, queueLookup, subscribeToConnectivity, takeQueuedLookups } from "forecast/offline";
+
+const log = createLogger('GMP Autocomplete');
 
 export default class extends Controller {
-  static targets = ["autocompleteInput", "placeTitle", "placeInfo", "resultsList"];
+  static targets = ["autocompleteInput", "placeTitle", "placeInfo", "resultsList", "compareButton", "comparison",
+    "historyFilter", "historySort", "historyMaxAge", "historyMaxCount", "clearHistoryButton", "historyEmpty", "historyMessage"];
+  // Place search providers, in order of preference. 'fake' is only available when the
+  // page enables fake places (see forecast/fakes).
+  static values = { providers: { type: Array, default: ['fake', 'google', 'address'] } };
   currentForecastItem = null; // { placeId, forecastData, timestamp, domElement (if in history) }
   historyForecasts = [];    // Array of { placeId, forecastData, timestamp, domElement }
-  MAX_HISTORY_AGE_MS = 30 * 60 * 1000; // 30 minutes
+  historyPreferences = getHistoryPreferences(); // { sort, maxAgeMinutes, maxCount }
+  comparedKeys = new Set(); // _comparisonKey of each forecast ticked for comparison
+  comparisonOpen = false;
+  lastRefresh = null; // { item, changedFields } for the most recent background refresh
+  // Keys under forecast.geolocation in config/locales, by GeolocationPositionError code.
+  GEOLOCATION_ERRORS = { 1: 'permission_denied', 2: 'position_unavailable', 3: 'timeout', unsupported: 'unsupported' };
 
   connect() {
-    // console.log("[GMP Autocomplete] Connecting...");
+    log.debug('Connecting…');
     this.boundHandleGmpSelect = this._handleGmpSelect.bind(this); 
     this.setupAutocompleteListener(); // Add listener once
     this.initializeAutocompleteElement(); // Initial setup
+    // Caches, coalesces and cancels forecast requests
+    this.forecastClient = new ForecastClient(fakeServiceEnabled('forecasts') ? { transport: fakeForecastTransport } : {});
+    this.retryCountdown = new RetryCountdown({
+      onTick: seconds => this._showRetryCountdown(seconds),
+      onRetry: () => this.pendingRetry && this._retryLookup(this.pendingRetry)
+    });
+    // Refreshes the current forecast in the background once it goes stale
+    this.refresher = new ForecastRefresher({
+      freshnessMs: this.forecastClient.freshnessMs,
+      onRefresh: () => this._refreshCurrentForecast()
+    });
+    // Forecasts the server fetches for places shown here, e.g. from lookups in other tabs
+    this.forecastUpdates = watchForecasts((key, data, timestamp) => this._receiveForecastUpdate(key, data, timestamp));
+    this._syncHistoryControls();
+    this._restoreForecasts(loadForecasts()); // Rehydrate from the previous visit
     this._pruneExpiredForecasts(); // Initial prune on connect
-    setInterval(() => this._pruneExpiredForecasts(), 60 * 1000); // Prune every minute
-    // console.log("[GMP Autocomplete] connect() finished.");
+    this.pruneInterval = setInterval(() => this._pruneExpiredForecasts(), 60 * 1000); // Prune every minute
+    this.unsubscribeFromStore = subscribeToForecasts((stored) => this._restoreForecasts(stored)); // Sync with other tabs
+    this.unsubscribeFromFavorites = subscribeToFavorites(() => {
+      this._syncPinToggles();
+      this._pruneExpiredForecasts(); // Unpinned entries are no longer exempt
+    });
+    this.unsubscribeFromConnectivity = subscribeToConnectivity(online => {
+      if (online) this._backOnline().catch(error => this._showBackOnlineError(error));
+    });
+    this.boundUnitsChanged = this.unitsChanged.bind(this);
+    window.addEventListener('units:changed', this.boundUnitsChanged);
+    window.addEventListener('language:changed', this.boundUnitsChanged);
+    this.boundHandlePopState = this._handlePopState.bind(this);
+    window.addEventListener('popstate', this.boundHandlePopState);
+
+    // A shared link (?place_id=…&lat=…&lng=…) shows that place's forecast.
+    const linkedLookup = lookupFromUrl();
+    if (linkedLookup) {
+      this._showLookup(linkedLookup, 'replace');
+    } else if (!isOffline()) {
+      this._backOnline().catch(error => this._showBackOnlineError(error)); // Lookups queued before a reload
+    }
+    log.debug('connect() finished.');
   }
 
   disconnect() {
+    clearInterval(this.pruneInterval);
+    this.forecastClient.abortAll();
+    this.retryCountdown.cancel();
+    this.refresher.disconnect();
+    this.forecastUpdates.stop();
+    if (this.unsubscribeFromStore) this.unsubscribeFromStore();
+    if (this.unsubscribeFromFavorites) this.unsubscribeFromFavorites();
+    if (this.unsubscribeFromConnectivity) this.unsubscribeFromConnectivity();
+    window.removeEventListener('units:changed', this.boundUnitsChanged);
+    window.removeEventListener('language:changed', this.boundUnitsChanged);
+    window.removeEventListener('popstate', this.boundHandlePopState);
     if (this.hasAutocompleteInputTarget) {
       this.autocompleteInputTarget.removeEventListener('gmp-select', this.boundHandleGmpSelect);
     }
   }
 
-  // Renamed from initAutocomplete, only handles element creation/append
+  // Mounts the search UI from the first usable provider in providersValue: the Google
+  // PlaceAutocompleteElement by default, falling back to a free-text address form when
+  // the Maps library is missing or fails to load.
   async initializeAutocompleteElement() {
-    // console.log("[GMP Autocomplete] initializeAutocompleteElement started.");
-    if (!(window.google && window.google.maps && window.google.maps.importLibrary)) {
-      console.error("[GMP Autocomplete] Google Maps library not loaded.");
+    if (!this.hasAutocompleteInputTarget) {
+      log.error('Autocomplete input CONTAINER target NOT FOUND.');
       return;
     }
 
-    const { PlaceAutocompleteElement } = await window.google.maps.importLibrary("places");
-    // console.log("[GMP Autocomplete] 'places' library imported.");
+    const mounted = await mountPlaceSearch(this.autocompleteInputTarget, this.providersValue, {
+      onAddressSearch: (address) => this._handleAddressSearch(address)
+    });
 
-    if (!this.hasAutocompleteInputTarget) {
-      console.error("[GMP Autocomplete] Autocomplete input CONTAINER target NOT FOUND.");
+    if (!mounted) {
+      log.error('No place search provider could be loaded.');
       return;
     }
 
-    const placeAutocompleteContainer = this.autocompleteInputTarget;
-    placeAutocompleteContainer.innerHTML = ''; // Clear the container
-
-    const placeAutocompleteElement = new PlaceAutocompleteElement();
-    this.autocompleteElement = placeAutocompleteElement; // Store the reference
-    placeAutocompleteContainer.appendChild(this.autocompleteElement);
-    // console.log("[GMP Autocomplete] PlaceAutocompleteElement appended.");
+    this.autocompleteElement = mounted.element; // Store the reference
+    this.element.dataset.placeSearchProvider = mounted.provider.name;
   }
 
   // Sets up the event listener on the container using event delegation
@@ -53,71 +126,51 @@ export default class extends Controller {
 
     this.autocompleteInputTarget.removeEventListener('gmp-select', this.boundHandleGmpSelect);
     this.autocompleteInputTarget.addEventListener('gmp-select', this.boundHandleGmpSelect);
-
-    // console.log("[GMP Autocomplete] setupAutocompleteListener() finished.");
   }
 
   // The actual logic for handling the gmp-select event
   async _handleGmpSelect(event) {
-    // ===== VERY FIRST LOGS =====
-    // console.log(`[GMP Autocomplete] _handleGmpSelect START at ${new Date().toISOString()}`);
-    // console.log("[GMP Autocomplete] RAW event.target:", event.target);
-    // console.log("[GMP Autocomplete] RAW event.target.value:", event.target ? event.target.value : 'event.target is falsy');
-    // console.log("[GMP Autocomplete] RAW typeof event.target.value:", event.target ? typeof event.target.value : 'event.target is falsy');
-    // console.log("[GMP Autocomplete] RAW this.autocompleteElement:", this.autocompleteElement);
-    // console.log("[GMP Autocomplete] RAW this.autocompleteElement.value:", this.autocompleteElement ? this.autocompleteElement.value : 'this.autocompleteElement is falsy');
-    // console.log("[GMP Autocomplete] RAW typeof this.autocompleteElement.value:", this.autocompleteElement ? typeof this.autocompleteElement.value : 'this.autocompleteElement is falsy');
-    // ===== END VERY FIRST LOGS =====
+    log.debug('gmp-select received.', { target: event.target, placePrediction: event.placePrediction });
 
     if (event.target !== this.autocompleteElement) {
-      console.warn("[GMP Autocomplete] gmp-select event.target is NOT this.autocompleteElement.", { target: event.target, autocompleteElement: this.autocompleteElement });
+      log.warn('gmp-select event.target is NOT this.autocompleteElement.', { target: event.target, autocompleteElement: this.autocompleteElement });
     }
 
-
-    // For debugging the event object itself and what `event.placePrediction` contains.
-    // console.log("[GMP Autocomplete] gmp-select event FIRED. Full event object:");
-    // console.log(event.placePrediction); // This is the critical part of the event
-
     if (!this.hasPlaceInfoTarget || !this.hasPlaceTitleTarget) {
-      console.error("[GMP Autocomplete] Target elements (placeInfo or placeTitle) are missing.");
+      log.error('Target elements (placeInfo or placeTitle) are missing.');
       return;
     }
 
+    const lookupId = this._beginLookup(); // Supersedes any lookup still in progress
+    traceLookup(lookupId, { source: 'google' });
+
     // 1. Get the PlacePrediction object from the event.
     // The event detail should contain placePrediction, not place.
     const prediction = event.placePrediction; // Corrected based on Google's documentation
-    // console.log("[GMP Autocomplete] Value assigned to prediction (from event.placePrediction):", prediction);
 
     if (!prediction) {
-      console.error("[GMP Autocomplete] No place prediction data found in the event.");
-      this.placeTitleTarget.textContent = 'Error: No prediction data.';
-      this.placeInfoTarget.innerHTML = '';
+      log.error('No place prediction data found in the event.');
+      this._showError(t('errors.no_prediction'));
       return;
     }
 
     try {
       // 2. Use prediction.toPlace() to get a Place object
-      // console.log("[GMP Autocomplete] Calling prediction.toPlace()...", prediction);
-      const place = await prediction.toPlace(); // This is an async call
-      // console.log("[GMP Autocomplete] Got place object from toPlace():", place);
+      const place = await timeLookupStep(lookupId, 'toPlace', () => prediction.toPlace());
+      log.debug('Got place object from toPlace().', place);
 
       if (!place) {
-        console.error("[GMP Autocomplete] Failed to convert prediction to place object.");
-        this.placeTitleTarget.textContent = 'Error: Could not retrieve place details.';
-        this.placeInfoTarget.innerHTML = '';
+        log.error('Failed to convert prediction to place object.');
+        this._showError(t('errors.place_details'));
         return;
       }
 
       // Now fetch fields for this Place object
-      // console.log("[GMP Autocomplete] Calling place.fetchFields()...", place);
-      // Ensure fields are requested as per the Place object capabilities
-      // const fetchedPlace = await place.fetchFields({ fields: ['id', 'formattedAddress', 'location', 'displayName'] });
-      const fetchResult = await place.fetchFields({ fields: ['id', 'formattedAddress', 'location', 'displayName'] });
-      // console.log("[GMP Autocomplete] Result from fetchFields():", fetchResult);
+      const fetchResult = await timeLookupStep(lookupId, 'fetchFields', () => place.fetchFields({ fields: ['id', 'formattedAddress', 'location', 'displayName'] }));
+      log.debug('Result from fetchFields().', fetchResult);
 
       // Check if the actual Place object is nested under a 'place' property based on console logs
       const actualFetchedPlace = fetchResult.place ? fetchResult.place : fetchResult;
-      // console.log("[GMP Autocomplete] Actual fetched place object to be used:", actualFetchedPlace);
 
       // 3. Extract data and send to backend
       const placeId = actualFetchedPlace.id;
@@ -136,49 +189,130 @@ export default class extends Controller {
         }
       }
 
-      // console.log(`[GMP Autocomplete] Extracted lat: ${lat}, lng: ${lng}`);
-      // console.log(`[GMP Autocomplete] Selected Place ID: ${placeId}`);
+      log.debug('Selected place.', { placeId, lat, lng });
 
       // If lat or lng are undefined or null, handle this case
       if (lat === undefined || lat === null || lng === undefined || lng === null) {
-        console.error("[GMP Autocomplete] Latitude or Longitude is missing from place data.", fetchedPlace);
-        this.placeTitleTarget.textContent = 'Error: Missing location data.';
-        this.placeInfoTarget.innerHTML = '';
+        log.error('Latitude or Longitude is missing from place data.', actualFetchedPlace);
+        this._showError(t('errors.missing_location'));
         return;
       }
 
+      // A newer selection was made while the place details were loading.
+      if (!this._isLatestLookup(lookupId)) return;
+
       // Send to backend
-      // console.log(`[GMP Autocomplete] Sending place_id ${placeId} to backend /api/v1/forecasts`);
-      const bodyPayload = { place_id: placeId, lat: lat, lng: lng };
-      // console.log('[GMP Autocomplete] Object to be stringified:', bodyPayload);
-      const apiResponse = await fetch('/api/v1/forecasts', {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'X-CSRF-Token': document.querySelector('meta[name="csrf-token"]').content
-        },
-        body: JSON.stringify(bodyPayload)
-      });
+      const shown = await this._fetchAndShowForecast({ place_id: placeId, lat: lat, lng: lng }, { placeId, lookupId });
+      if (!shown) return;
 
-      if (!apiResponse.ok) {
-        const errorText = await apiResponse.text();
-        console.error("[GMP Autocomplete] API Error:", apiResponse.status, errorText);
-        this.placeTitleTarget.textContent = 'Error fetching forecast.';
-        this.placeInfoTarget.innerHTML = `Server responded with ${apiResponse.status}: ${errorText}`;
-        return;
+      // Clear the input field's value after processing
+
+    // `event.target` is the gmp-place-autocomplete element.
+    // Our previous logs showed event.target.value is undefined at this stage.
+    // Let's try setting it to null directly, as per typical web component behavior for clearing.
+    if (event.target) {
+      try {
+        event.target.value = null;
+
+        if (event.target.value === null || event.target.value === '') {
+          log.debug('Input field cleared.');
+        } else {
+          log.warn(`Input field NOT cleared as expected. Final value: '${event.target.value}', type: ${typeof event.target.value}`);
+        }
+      } catch (e) {
+        log.error('Error while trying to set event.target.value to null:', e);
       }
+    } else {
+      log.error('event.target is null or undefined, cannot clear.');
+    }
 
-      const data = await apiResponse.json(); // 'data' is now defined in the correct scope for the next lines
-      // console.log("[GMP Autocomplete] Forecast data received:", data);
+      this._refreshAllTimeAges(); // Refresh all history item times
 
-      const newForecastItemData = {
+    } catch (error) {
+      log.error('Error in gmp-select handler:', error);
+      this._showError(t('errors.generic'), t('errors.selected_place'));
+    }
+  }
+
+  // Marks the start of a new lookup. Any lookup started earlier is superseded and
+  // must not render its result.
+  _beginLookup() {
+    this.retryCountdown.cancel(); // A new lookup replaces any pending automatic retry
+    this.latestLookupId = (this.latestLookupId || 0) + 1;
+    return this.latestLookupId;
+  }
+
+  _isLatestLookup(lookupId) {
+    return lookupId === this.latestLookupId;
+  }
+
+  // Requests a forecast (from the client cache when fresh) and, if this is still the
+  // latest lookup, makes it the current forecast, moving the previous one into history.
+  // `historyMode` ('push', 'replace' or false) controls how the lookup is recorded in
+  // the browser history. Returns false if the lookup was superseded or failed (the error
+  // has then been displayed). `retryAttempt` counts consecutive automatic retries.
+  async _fetchAndShowForecast(bodyPayload, { placeId = null, lookupId = this._beginLookup(), historyMode = 'push', retryAttempt = 0 } = {}) {
+    // aria-busy holds back live-region announcements until the new content is in place.
+    if (this.hasPlaceInfoTarget) this.placeInfoTarget.setAttribute('aria-busy', 'true');
+    try {
+      let result;
+      traceLookup(lookupId, { request: bodyPayload });
+      try {
+        result = await timeLookupStep(lookupId, 'api', () => this.forecastClient.request(bodyPayload));
+        traceLookup(lookupId, { fromCache: result.fromCache, response: result.data });
+        recordReading({ placeId, forecastData: result.data, timestamp: result.timestamp });
+      } catch (error) {
+        if (error.name === 'AbortError') { // Superseded by a newer lookup
+          traceLookup(lookupId, { outcome: 'superseded' });
+          return false;
+        }
+        if (!(error instanceof ForecastRequestError || error instanceof ForecastNetworkError)) throw error;
+
+        traceLookup(lookupId, { outcome: 'failed', error: { status: error.status, body: error.body || String(error.cause) } });
+        if (!this._isLatestLookup(lookupId)) return false;
+        if (error instanceof ForecastNetworkError && isOffline()) {
+          traceLookup(lookupId, { outcome: 'queued until online' });
+          this._queueOfflineLookup(bodyPayload, placeId);
+          return false;
+        }
+        log.error('API Error:', { status: error.status, body: error.body, cause: error.cause });
+        this._showRequestError(error, attempt => this._fetchAndShowForecast(bodyPayload, { placeId, historyMode, retryAttempt: attempt }), retryAttempt);
+        return false;
+      }
+
+      if (!this._isLatestLookup(lookupId)) {
+        traceLookup(lookupId, { outcome: 'superseded' });
+        return false;
+      }
+      traceLookup(lookupId, { outcome: result.fromCache ? 'cache hit' : 'fetched' });
+      if (historyMode) this._recordLookupInHistory(bodyPayload, historyMode);
+
+      // Re-selecting the place that is already current just redisplays it.
+      if (this.currentForecastItem && this.currentForecastItem.forecastData === result.data) {
+        this._displayCurrentForecast();
+        return true;
+      }
+
+      // Re-selecting a place whose cached reading is in history moves that entry back
+      // to current rather than showing the same reading twice.
+      const historyItem = this.historyForecasts.find(item => item.forecastData === result.data);
+      if (historyItem) {
+        this.historyForecasts = this.historyForecasts.filter(item => item !== historyItem);
+        this._removeForecastFromHistoryDOM(historyItem);
+        delete historyItem.domElement;
+      }
+
+      const newForecastItemData = historyItem || {
+        id: newForecastItemId(),
         placeId: placeId,
-        forecastData: data, // data already contains lat/lng/address from our backend
-        timestamp: Date.now() // Use 'timestamp' and store as a number
+        forecastData: result.data, // data already contains lat/lng/address from our backend
+        timestamp: result.timestamp // When the data was fetched, even if served from the cache
       };
+      if (result.offline) newForecastItemData.offline = true; // The service worker's last-known forecast
 
       // If there was a previously displayed forecast, move it to the history.
       if (this.currentForecastItem) {
+        log.info('Moved to history.', { address: this.currentForecastItem.forecastData.address });
         this.historyForecasts.unshift(this.currentForecastItem); // Add the OLD currentForecastItem to the internal array
         this._addForecastToHistoryDOM(this.currentForecastItem);   // Add the OLD currentForecastItem to the history DOM
         this._pruneExpiredForecasts(); // Prune after modifying history, ensures list doesn't grow indefinitely beyond age limit
@@ -186,154 +320,891 @@ export default class extends Controller {
 
       this.currentForecastItem = newForecastItemData; // Update current forecast to the new one
       this._displayCurrentForecast(); // Display the new current forecast in the main area (not in history yet)
+      this._persistForecasts();
+      this._renderComparison();
+      if (historyItem) this._applyHistoryView();
+      return true;
+    } finally {
+      if (this.hasPlaceInfoTarget) this.placeInfoTarget.removeAttribute('aria-busy');
+    }
+  }
 
-      // Clear the input field's value after processing
-      // console.log("[GMP Autocomplete] Attempting to clear input field...");
+  // Adds the lookup to the browser history so the URL can be shared and back/forward
+  // can return to it. Re-recording the URL already shown replaces the entry instead.
+  _recordLookupInHistory(lookup, historyMode) {
+    const url = urlForLookup(lookup);
+    const state = { forecastLookup: lookup };
+    if (historyMode === 'push' && url !== window.location.href) {
+      window.history.pushState(state, '', url);
+    } else {
+      window.history.replaceState(state, '', url);
+    }
+  }
 
-    // `event.target` is the gmp-place-autocomplete element.
-    // Our previous logs showed event.target.value is undefined at this stage.
-    // Let's try setting it to null directly, as per typical web component behavior for clearing.
-    if (event.target) {
-      // console.log(`[GMP Autocomplete] Pre-clear event.target.value: ${event.target.value} (typeof: ${typeof event.target.value})`);
-      try {
-        event.target.value = null;
-        // console.log(`[GMP Autocomplete] Post-clear event.target.value: ${event.target.value} (typeof: ${typeof event.target.value})`);
+  // Back/forward between lookups: show the forecast for the restored URL without
+  // adding another history entry. The bare page has no place selected.
+  _handlePopState(event) {
+    const lookup = (event.state && event.state.forecastLookup) || lookupFromUrl();
+    if (!lookup) {
+      this._clearCurrentForecast();
+      return;
+    }
+    this._showLookup(lookup, 'replace');
+  }
 
-        if (event.target.value === null) {
-          // console.log("[GMP Autocomplete] Input field successfully set to null.");
-        } else if (event.target.value === '') {
-          // console.log("[GMP Autocomplete] Input field successfully set to an empty string (though null was attempted).");
-        } else {
-          console.warn(`[GMP Autocomplete] Input field NOT cleared as expected. Final value: '${event.target.value}', type: ${typeof event.target.value}`);
-        }
-      } catch (e) {
-        console.error("[GMP Autocomplete] Error while trying to set event.target.value to null:", e);
-      }
-    } else {
-      console.error("[GMP Autocomplete] event.target is null or undefined, cannot clear.");
+  // Moves the current forecast into history (Forward brings it back) and shows that
+  // nothing is selected. Any pending lookup is superseded.
+  _clearCurrentForecast() {
+    this.displayedLookupId = this._beginLookup();
+    if (this.currentForecastItem) {
+      log.info('Moved to history.', { address: this.currentForecastItem.forecastData.address });
+      this.historyForecasts.unshift(this.currentForecastItem);
+      this._addForecastToHistoryDOM(this.currentForecastItem);
+      this.currentForecastItem = null;
+      this._pruneExpiredForecasts();
+    }
+    this._displayCurrentForecast();
+    this._persistForecasts();
+    this._renderComparison();
+  }
+
+  async _showLookup(lookup, historyMode) {
+    if (!this.hasPlaceInfoTarget || !this.hasPlaceTitleTarget) return;
+    try {
+      const shown = await this._fetchAndShowForecast(lookup, { placeId: lookup.place_id || null, historyMode });
+      if (shown) this._refreshAllTimeAges();
+    } catch (error) {
+      log.error('Error fetching forecast for linked place:', error);
+      this._showError(t('errors.generic'), t('errors.link_lookup'));
+    }
+  }
+
+  // Lookup from the fallback address form. Returns true when the forecast was shown.
+  async _handleAddressSearch(address) {
+    if (!this.hasPlaceInfoTarget || !this.hasPlaceTitleTarget) {
+      log.error('Target elements (placeInfo or placeTitle) are missing.');
+      return false;
     }
 
-      this._refreshAllTimeAges(); // Refresh all history item times
+    try {
+      const shown = await this._fetchAndShowForecast({ address });
+      if (shown) this._refreshAllTimeAges();
+      return shown;
+    } catch (error) {
+      log.error('Error fetching forecast for address:', error);
+      this._showError(t('errors.generic'), t('errors.address_lookup'));
+      return false;
+    }
+  }
+
+  // Looks up the forecast for the browser's current position.
+  useMyLocation() {
+    if (!this.hasPlaceInfoTarget || !this.hasPlaceTitleTarget) {
+      log.error('Target elements (placeInfo or placeTitle) are missing.');
+      return;
+    }
+
+    if (!('geolocation' in navigator)) {
+      this._showGeolocationError(null);
+      return;
+    }
+
+    const lookupId = this._beginLookup();
+    this.placeTitleTarget.textContent = t('search.finding_location');
+    this.placeInfoTarget.replaceChildren();
+    navigator.geolocation.getCurrentPosition(
+      (position) => this._handleGeolocationSuccess(position, lookupId),
+      (error) => {
+        if (this._isLatestLookup(lookupId)) this._showGeolocationError(error);
+      },
+      { timeout: 10 * 1000, maximumAge: 5 * 60 * 1000 }
+    );
+  }
 
+  async _handleGeolocationSuccess(position, lookupId) {
+    if (!this._isLatestLookup(lookupId)) return; // Another place was chosen meanwhile
+    const { latitude, longitude } = position.coords;
+    try {
+      const shown = await this._fetchAndShowForecast({ lat: latitude, lng: longitude }, { lookupId });
+      if (shown) this._refreshAllTimeAges();
     } catch (error) {
-      console.error("[GMP Autocomplete] Error in gmp-select handler:", error);
-      if (this.hasPlaceTitleTarget) this.placeTitleTarget.textContent = 'An error occurred.';
-      if (this.hasPlaceInfoTarget) this.placeInfoTarget.innerHTML = 'Could not process the selected place.';
+      log.error('Error fetching forecast for current location:', error);
+      this._showError(t('errors.generic'), t('errors.location_lookup'));
+    }
+  }
+
+  // `error` is a GeolocationPositionError, or null when the browser has no Geolocation API.
+  _showGeolocationError(error) {
+    const key = (error && this.GEOLOCATION_ERRORS[error.code]) || this.GEOLOCATION_ERRORS.unsupported;
+    log.warn('Geolocation failed:', error ? error.message : 'unsupported');
+    this._showError(t(`geolocation.${key}.title`), t(`geolocation.${key}.detail`));
+  }
+
+  // Re-renders the current forecast and every history entry after the unit system
+  // or the language changes.
+  unitsChanged() {
+    this._displayCurrentForecast();
+    this.historyForecasts.forEach(item => {
+      if (item.domElement) this._renderHistoryEntry(item, item.domElement);
+    });
+    this._renderComparison();
+  }
+
+  // Opens the comparison table for the ticked forecasts.
+  compare() {
+    this.comparisonOpen = true;
+    this._renderComparison();
+  }
+
+  closeComparison() {
+    this.comparisonOpen = false;
+    this._renderComparison();
+  }
+
+  // Looks the current forecast up again once it is stale (see ForecastRefresher) and
+  // shows the new reading in place, highlighting what changed. Skipped while a newer
+  // lookup is pending or showing an error, so neither gets overwritten.
+  async _refreshCurrentForecast() {
+    const item = this.currentForecastItem;
+    if (!item || this.latestLookupId !== this.displayedLookupId) return;
+
+    const lookupId = this.latestLookupId;
+    const stillCurrent = () => this.currentForecastItem === item && this._isLatestLookup(lookupId);
+    let result;
+    try {
+      result = await this.forecastClient.request(this._lookupForItem(item), { background: true });
+    } catch (error) {
+      if (error.name !== 'AbortError') log.warn('Background refresh failed.', { status: error.status, cause: error.cause || error });
+      if (stillCurrent()) this.refresher.retryLater();
+      return;
+    }
+    if (!stillCurrent()) return; // Replaced by another lookup in the meantime
+    if (result.offline) { // Still offline; the service worker answered with the forecast already shown
+      this.refresher.retryLater();
+      return;
+    }
+    this._showRefreshedForecast(item, result.data, result.timestamp);
+  }
+
+  // Replaces the current forecast `item` with a newer reading of the same place and
+  // shows it, highlighting what changed.
+  _showRefreshedForecast(item, data, timestamp) {
+    const refreshed = { id: item.id, placeId: item.placeId, forecastData: data, timestamp }; // Stays ticked for comparison
+    const changedFields = changedReadings(item.forecastData, data);
+    log.info('Refreshed current forecast.', { address: data.address, changed: [...changedFields] });
+    recordReading(refreshed);
+
+    this.lastRefresh = { item: refreshed, changedFields };
+    this.currentForecastItem = refreshed;
+    this._displayCurrentForecast();
+    this._persistForecasts();
+    this._renderComparison();
+  }
+
+  // Shows a forecast the server broadcast for a place on screen (see forecast/forecast_updates)
+  // as the newest reading of that place: the current forecast if it is that place, else
+  // its most recent history entry. Older entries for the place are past readings and stay
+  // as they are. Ignored while a lookup is pending or showing an error, like background
+  // refreshes; a lookup's own broadcast can also arrive before its response.
+  _receiveForecastUpdate(key, data, timestamp) {
+    if (this.latestLookupId !== this.displayedLookupId) return;
+
+    const current = this.currentForecastItem;
+    if (current && forecastItemKey(current) === key) {
+      if (sameForecast(current.forecastData, data)) return;
+      this.forecastClient.remember(key, data, timestamp);
+      this._showRefreshedForecast(current, data, timestamp);
+      return;
+    }
+
+    const item = this.historyForecasts
+      .filter(historyItem => forecastItemKey(historyItem) === key)
+      .reduce((newest, historyItem) => (!newest || historyItem.timestamp > newest.timestamp ? historyItem : newest), null);
+    if (!item || sameForecast(item.forecastData, data)) return;
+
+    this.forecastClient.remember(key, data, timestamp);
+    const changedFields = changedReadings(item.forecastData, data);
+    item.forecastData = data;
+    item.timestamp = timestamp;
+    recordReading(item);
+    delete item.imported; // A live reading now
+    delete item.offline;
+    log.info('Updated forecast in history.', { address: data.address, changed: [...changedFields] });
+
+    if (item.domElement) {
+      const hadFocus = item.domElement.contains(document.activeElement);
+      item.domElement.dataset.timestamp = timestamp;
+      this._renderHistoryEntry(item, item.domElement, { changedFields });
+      if (hadFocus && !item.domElement.contains(document.activeElement)) this._focusHistoryEntry(item.domElement);
+    }
+    this._persistForecasts();
+    this._renderComparison();
+    this._applyHistoryView(); // Its temperature may have moved it
+  }
+
+  _buildUpdatedIndicator(changedFields) {
+    const indicator = document.createElement('p');
+    indicator.className = 'forecast-updated inline-flex items-center gap-1 mt-1 text-xs text-green-700';
+    const dot = document.createElement('span');
+    dot.className = 'inline-block h-1.5 w-1.5 rounded-full bg-green-500';
+    dot.setAttribute('aria-hidden', 'true');
+    indicator.append(dot, document.createTextNode(t(changedFields.size > 0 ? 'current.updated_changed' : 'current.updated')));
+    return indicator;
+  }
+
+  // Identifies a forecast item; stable across restores from storage.
+  _comparisonKey(item) {
+    return item.id;
+  }
+
+  _buildCompareToggle(item) {
+    const label = document.createElement('label');
+    label.className = 'inline-flex items-center gap-1 mt-2 text-xs text-gray-600 cursor-pointer';
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.className = 'forecast-compare-toggle';
+    checkbox.checked = this.comparedKeys.has(this._comparisonKey(item));
+    checkbox.addEventListener('change', () => {
+      if (checkbox.checked) {
+        this.comparedKeys.add(this._comparisonKey(item));
+      } else {
+        this.comparedKeys.delete(this._comparisonKey(item));
+      }
+      this._renderComparison();
+    });
+    label.append(checkbox, document.createTextNode(t('comparison.compare')));
+    return label;
+  }
+
+  // Updates the compare button and, while open, the comparison table. Forecasts that
+  // have left the page (e.g. pruned) drop out of the comparison.
+  _renderComparison() {
+    const liveItems = [this.currentForecastItem, ...this.historyForecasts].filter(Boolean);
+    const liveKeys = new Set(liveItems.map(item => this._comparisonKey(item)));
+    this.comparedKeys.forEach(key => {
+      if (!liveKeys.has(key)) this.comparedKeys.delete(key);
+    });
+    const items = liveItems.filter(item => this.comparedKeys.has(this._comparisonKey(item)));
+
+    if (this.hasCompareButtonTarget) {
+      this.compareButtonTarget.disabled = items.length < 2;
+      this.compareButtonTarget.textContent = t('comparison.compare_selected', { count: items.length });
+    }
+    if (!this.hasComparisonTarget) return;
+
+    if (!this.comparisonOpen) {
+      this.comparisonTarget.classList.add('hidden');
+      this.comparisonTarget.replaceChildren();
+      return;
+    }
+
+    const header = document.createElement('div');
+    header.className = 'flex items-center justify-between mb-2';
+    const title = document.createElement('h3');
+    title.className = 'font-semibold text-gray-800';
+    title.textContent = t('comparison.title');
+    const closeButton = document.createElement('button');
+    closeButton.type = 'button';
+    closeButton.className = 'text-xs text-blue-600 hover:underline';
+    closeButton.textContent = t('comparison.close');
+    closeButton.dataset.action = 'gmp-autocomplete#closeComparison';
+    header.append(title, closeButton);
+
+    let content;
+    if (items.length >= 2) {
+      content = buildComparisonTable(items);
+    } else {
+      content = document.createElement('p');
+      content.className = 'text-xs text-gray-500';
+      content.textContent = t('comparison.select_two');
     }
+
+    this.comparisonTarget.replaceChildren(header, content);
+    this.comparisonTarget.classList.remove('hidden');
   }
 
   _displayCurrentForecast() {
     if (!this.currentForecastItem || !this.currentForecastItem.forecastData) {
-      if (this.hasPlaceTitleTarget) this.placeTitleTarget.textContent = 'No forecast selected.';
-      if (this.hasPlaceInfoTarget) this.placeInfoTarget.innerHTML = ''; // Clear with innerHTML
+      this.refresher.cancel();
+      if (this.hasPlaceTitleTarget) this.placeTitleTarget.textContent = t('current.none_selected');
+      if (this.hasPlaceInfoTarget) this.placeInfoTarget.replaceChildren();
       return;
     }
     const data = this.currentForecastItem.forecastData;
     const timestamp = this.currentForecastItem.timestamp;
-    const displayAddress = data.address || 'Address N/A';
+    const refresh = this.lastRefresh && this.lastRefresh.item === this.currentForecastItem ? this.lastRefresh : null;
+    this.displayedLookupId = this.latestLookupId; // Lookups started after this one block background refreshes
+    this.refresher.schedule(timestamp);
 
     if (this.hasPlaceTitleTarget) {
-      this.placeTitleTarget.textContent = displayAddress;
+      this.placeTitleTarget.textContent = data.address || t('address_not_available');
     }
 
-    let forecastDetailsHTML = `<pre class="text-sm">Coordinates: Lat: ${data.latitude || 'N/A'}, Lng: ${data.longitude || 'N/A'}\n\n`;
-    if (data.forecast && data.forecast.current) {
-      forecastDetailsHTML += `Current Weather:\n`;
-      forecastDetailsHTML += `  Conditions: ${data.forecast.current.conditions || 'Not available'}\n`;
-      forecastDetailsHTML += `  Temperature: ${data.forecast.current.temp_f !== undefined ? data.forecast.current.temp_f + '°F' : 'Not available'}\n`;
-      forecastDetailsHTML += `  Feels Like: ${data.forecast.current.feels_like_f !== undefined ? data.forecast.current.feels_like_f + '°F' : 'Not available'}\n`;
-    } else {
-      forecastDetailsHTML += "No current weather data available.";
+    if (this.hasPlaceInfoTarget) {
+      const announcement = document.createElement('p');
+      announcement.className = 'sr-only';
+      const address = data.address || t('current.selected_place');
+      announcement.textContent = refresh ? t('current.refreshed_announcement', { address }) : t('current.announcement', { address });
+      const changedFields = refresh ? refresh.changedFields : null;
+      const offline = !!this.currentForecastItem.offline;
+      this.placeInfoTarget.replaceChildren(announcement, buildForecastCard(data, { includeDailyForecast: true, timeAgo: this._timeAgo(timestamp), changedFields, offline }));
+      if (refresh) this.placeInfoTarget.appendChild(this._buildUpdatedIndicator(refresh.changedFields));
+      const actions = document.createElement('div');
+      actions.className = 'forecast-actions flex items-center gap-4';
+      actions.append(this._buildCompareToggle(this.currentForecastItem), this._buildPinToggle(this.currentForecastItem));
+      this.placeInfoTarget.appendChild(actions);
+      this.placeInfoTarget.dataset.timestamp = timestamp; // Store timestamp for refresh
+      this._renderTrend();
     }
-    forecastDetailsHTML += "</pre>";
+  }
 
-    const timeAgoString = this._timeAgo(timestamp);
-    const timeAgoHTML = `<p class="text-xs text-gray-500 mt-1 current-forecast-time-ago">${timeAgoString}</p>`;
+  // Draws the sparkline of the logged readings of the current place (see
+  // forecast/place_readings) above its actions, or removes it when there are fewer
+  // than two. Left alone when the readings haven't changed, so a focused point keeps focus.
+  _renderTrend() {
+    if (!this.hasPlaceInfoTarget) return;
+    const actions = this.placeInfoTarget.querySelector('.forecast-actions');
+    const existing = this.placeInfoTarget.querySelector('.forecast-trend');
+    const item = this.currentForecastItem;
+    const readings = item ? readingsFor(forecastItemKey(item)) : [];
+    const signature = JSON.stringify(readings);
+    if (existing && existing.dataset.readings === signature) return;
 
+    const trend = actions ? buildTemperatureSparkline(readings) : null; // No card while an error is shown
+    if (trend) trend.dataset.readings = signature;
+    if (existing && trend) {
+      existing.replaceWith(trend);
+    } else if (existing) {
+      existing.remove();
+    } else if (trend) {
+      actions.before(trend);
+    }
+  }
+
+  // Shows an error in place of the current forecast. `detail` is optional and always rendered as text.
+  // With `onRetry` the notice gets a Retry button.
+  _showError(title, detail, { onRetry } = {}) {
+    if (this.hasPlaceTitleTarget) this.placeTitleTarget.textContent = title;
     if (this.hasPlaceInfoTarget) {
-      this.placeInfoTarget.innerHTML = forecastDetailsHTML + timeAgoHTML;
-      this.placeInfoTarget.dataset.timestamp = timestamp; // Store timestamp for refresh
+      if (detail) {
+        this.placeInfoTarget.replaceChildren(buildErrorNotice(detail, { onRetry }));
+      } else {
+        this.placeInfoTarget.replaceChildren();
+      }
+      delete this.placeInfoTarget.dataset.timestamp;
+    }
+  }
+
+  // Shows a failed forecast request with a Retry button (unless retrying cannot help)
+  // and schedules an automatic retry with exponential backoff for transient failures.
+  // `retry(attempt)` repeats the lookup; `attempt` is the number of automatic retries so far.
+  _showRequestError(error, retry, attempt) {
+    const { title, message, retryable, transient } = describeForecastError(error);
+    this._showError(title, message, { onRetry: retryable ? () => this._retryLookup(() => retry(0)) : null });
+
+    if (transient && attempt < MAX_AUTOMATIC_RETRIES) {
+      this.pendingRetry = () => retry(attempt + 1);
+      this.retryCountdown.start(retryDelayMs(attempt));
+    }
+  }
+
+  // Runs a retry of a failed lookup. Request errors are shown by the lookup itself;
+  // anything else it throws replaces the notice with the generic error.
+  _retryLookup(retry) {
+    retry().catch(error => {
+      log.error('Error retrying forecast lookup:', error);
+      this._showError(t('errors.generic'), t('errors.retry_lookup'));
+    });
+  }
+
+  _showRetryCountdown(seconds) {
+    if (!this.hasPlaceInfoTarget) return;
+    const countdown = this.placeInfoTarget.querySelector('.forecast-retry-countdown');
+    if (countdown) countdown.textContent = t('errors.retrying_in', { seconds });
+  }
+
+  // Keeps a lookup that failed while offline to replay once back online (see _backOnline).
+  _queueOfflineLookup(lookup, placeId) {
+    const label = lookup.address || t('offline.this_place');
+    queueLookup(lookup, { placeId, label });
+    this._showError(t('offline.lookup_queued_title'), t('offline.lookup_queued', { place: label }));
+  }
+
+  // Replays the lookups queued while offline, oldest first so the last one ends up
+  // current. With none queued, replaces a last-known current forecast with a fresh one.
+  async _backOnline() {
+    const queued = takeQueuedLookups();
+    if (queued.length === 0) {
+      if (this.currentForecastItem && this.currentForecastItem.offline) this._refreshCurrentForecast();
+      return;
+    }
+    log.info('Back online; replaying queued lookups.', { count: queued.length });
+    for (const { lookup, placeId, label } of queued) {
+      try {
+        await this._fetchAndShowForecast(lookup, { placeId });
+      } catch (error) {
+        // The rest still run; a later lookup that succeeds replaces the notice.
+        log.error('Error replaying queued lookup:', error);
+        this._showError(t('errors.generic'), t('offline.replay_failed', { place: label || t('offline.this_place') }));
+      }
     }
   }
 
+  _showBackOnlineError(error) {
+    log.error('Error resuming after reconnecting:', error);
+    this._showError(t('errors.generic'));
+  }
+
   _addForecastToHistoryDOM(forecastItem) {
-    // console.log("<<<<< MEGA DEBUG: _addForecastToHistoryDOM ENTERED >>>>>", forecastItem);
     if (!forecastItem || !this.hasResultsListTarget) return;
 
     const historyEntry = document.createElement('div');
-    historyEntry.classList.add('bg-white', 'p-4', 'rounded-lg', 'shadow-sm', 'mb-3');
+    historyEntry.classList.add('bg-white', 'p-4', 'rounded-lg', 'shadow-sm', 'mb-3', 'cursor-pointer', 'focus:outline-none', 'focus:ring-2', 'focus:ring-blue-300');
+    historyEntry.setAttribute('role', 'listitem');
+    historyEntry.setAttribute('aria-keyshortcuts', 'Enter Delete');
+    historyEntry.tabIndex = -1; // _syncHistoryTabStops makes one entry tabbable
     historyEntry.dataset.placeId = forecastItem.placeId; // Store placeId for potential future use
     historyEntry.dataset.timestamp = forecastItem.timestamp; // Store timestamp for refreshing time ago
-  historyEntry.dataset.timestamp = forecastItem.timestamp; // Store timestamp for refreshing time ago
-
-    const data = forecastItem.forecastData;
-    let historyDisplay = `Coordinates: Lat: ${data.latitude || 'N/A'}, Lng: ${data.longitude || 'N/A'}\n\n`;
-    if (data.forecast && data.forecast.current) {
-      historyDisplay += `Current Weather:\n`;
-      historyDisplay += `  Conditions: ${data.forecast.current.conditions || 'Not available'}\n`;
-      historyDisplay += `  Temperature: ${data.forecast.current.temp_f !== undefined ? data.forecast.current.temp_f + '°F' : 'Not available'}\n`;
-      historyDisplay += `  Feels Like: ${data.forecast.current.feels_like_f !== undefined ? data.forecast.current.feels_like_f + '°F' : 'Not available'}\n`;
+    this._renderHistoryEntry(forecastItem, historyEntry);
+
+    forecastItem.domElement = historyEntry; // Store reference to DOM element
+    this.resultsListTarget.prepend(historyEntry);
+    this._applyHistoryView(); // Moves it into place when sorting by something other than time
+  }
+
+  // Fills (or refills) a history entry element with the forecast's details. `changedFields`
+  // highlights readings that changed in a live update.
+  _renderHistoryEntry(forecastItem, historyEntry, { changedFields = null } = {}) {
+    // Use the timestamp from when it became current/was fetched
+    historyEntry.replaceChildren(buildForecastCard(forecastItem.forecastData, { showAddress: true, compact: true, timeAgo: this._timeAgo(forecastItem.timestamp), changedFields, offline: !!forecastItem.offline }));
+    const actions = document.createElement('div');
+    actions.className = 'flex items-center gap-4';
+    actions.append(this._buildCompareToggle(forecastItem), this._buildPinToggle(forecastItem), this._buildRemoveButton(forecastItem));
+    historyEntry.appendChild(actions);
+  }
+
+  _buildRemoveButton(item) {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'forecast-remove ml-auto mt-2 text-xs text-gray-500 hover:text-red-600 hover:underline';
+    button.textContent = t('history.remove');
+    button.setAttribute('aria-label', t('history.remove_entry', { address: item.forecastData.address || t('address_not_available') }));
+    button.addEventListener('click', () => this._removeHistoryItem(item));
+    return button;
+  }
+
+  // Toggle button that pins the item's place to the favourites grid, or unpins it.
+  _buildPinToggle(item) {
+    const key = forecastItemKey(item);
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'forecast-pin mt-2 text-xs text-gray-600 hover:text-amber-600';
+    button.dataset.favoriteKey = key;
+    button.setAttribute('aria-label', t('favorites.pin_label', { address: item.forecastData.address || t('address_not_available') }));
+    this._syncPinToggle(button);
+    button.addEventListener('click', () => {
+      if (isFavorite(key)) {
+        removeFavorite(key);
+      } else {
+        addFavorite(this._lookupForItem(item), item.forecastData.address);
+      }
+    });
+    return button;
+  }
+
+  _syncPinToggle(button) {
+    const pinned = isFavorite(button.dataset.favoriteKey);
+    button.setAttribute('aria-pressed', String(pinned));
+    button.textContent = pinned ? `★ ${t('favorites.pinned')}` : `☆ ${t('favorites.pin')}`;
+  }
+
+  _syncPinToggles() {
+    this.element.querySelectorAll('.forecast-pin').forEach(button => this._syncPinToggle(button));
+  }
+
+  // Orders the history entries by the chosen sort, hides those not matching the filter
+  // and updates the toolbar to match. Entries are only moved when the order changed,
+  // since moving a node takes focus away from it.
+  _applyHistoryView() {
+    if (!this.hasResultsListTarget) return;
+
+    const sorted = sortHistoryItems(this.historyForecasts, this.historyPreferences.sort).filter(item => item.domElement);
+    const currentOrder = Array.from(this.resultsListTarget.querySelectorAll('[role="listitem"]'));
+    if (sorted.some((item, index) => currentOrder[index] !== item.domElement)) {
+      const focused = document.activeElement;
+      sorted.forEach(item => this.resultsListTarget.appendChild(item.domElement));
+      if (focused && focused !== document.activeElement && this.resultsListTarget.contains(focused)) focused.focus();
+    }
+
+    const query = this.hasHistoryFilterTarget ? this.historyFilterTarget.value : '';
+    let visible = 0;
+    sorted.forEach(item => {
+      item.domElement.hidden = !historyItemMatches(item, query);
+      if (!item.domElement.hidden) visible += 1;
+    });
+
+    if (this.hasHistoryEmptyTarget) {
+      const noMatches = sorted.length > 0 && visible === 0;
+      this.historyEmptyTarget.textContent = noMatches ? t('history.no_matches', { query: query.trim() }) : '';
+      this.historyEmptyTarget.classList.toggle('hidden', !noMatches);
+    }
+    if (this.hasClearHistoryButtonTarget) this.clearHistoryButtonTarget.disabled = this.historyForecasts.length === 0;
+    this._syncHistoryTabStops();
+  }
+
+  // Shows the stored preferences in the history toolbar.
+  _syncHistoryControls() {
+    const { sort, maxAgeMinutes, maxCount } = this.historyPreferences;
+    if (this.hasHistorySortTarget) this.historySortTarget.value = sort;
+    if (this.hasHistoryMaxAgeTarget) this.historyMaxAgeTarget.value = String(maxAgeMinutes);
+    if (this.hasHistoryMaxCountTarget) this.historyMaxCountTarget.value = String(maxCount);
+  }
+
+  filterHistory() {
+    this._applyHistoryView();
+  }
+
+  sortHistory() {
+    this.historyPreferences = setHistoryPreferences({ sort: this.historySortTarget.value });
+    this._applyHistoryView();
+  }
+
+  // Saves the max age and max count settings and prunes anything now over either limit.
+  updateHistorySettings() {
+    const changes = {};
+    if (this.hasHistoryMaxAgeTarget) changes.maxAgeMinutes = parseInt(this.historyMaxAgeTarget.value, 10);
+    if (this.hasHistoryMaxCountTarget) changes.maxCount = parseInt(this.historyMaxCountTarget.value, 10);
+    this.historyPreferences = setHistoryPreferences(changes);
+    this._syncHistoryControls(); // Puts back the saved value if the input was out of range
+    log.info('History settings changed.', this.historyPreferences);
+    this._pruneExpiredForecasts();
+  }
+
+  clearHistory() {
+    if (this.historyForecasts.length === 0) return;
+    log.info('Cleared history.', { count: this.historyForecasts.length });
+    this._preservingHistoryFocus(() => {
+      this.historyForecasts.forEach(item => this._removeForecastFromHistoryDOM(item));
+      this.historyForecasts = [];
+    });
+    this._persistForecasts();
+    this._renderComparison();
+    this._applyHistoryView();
+  }
+
+  // Downloads the current forecast and the history as CSV or JSON (the `format` param).
+  exportHistory(event) {
+    const { format } = event.params;
+    const items = [this.currentForecastItem, ...this.historyForecasts].filter(Boolean);
+    if (items.length === 0) {
+      this._showHistoryMessage(t('history.nothing_to_export'));
+      return;
+    }
+
+    const filename = `forecast-history-${new Date().toISOString().slice(0, 10)}`;
+    if (format === 'csv') {
+      downloadFile(`${filename}.csv`, forecastsToCsv(items), 'text/csv');
     } else {
-      historyDisplay += "No current weather data available.";
+      downloadFile(`${filename}.json`, forecastsToJson(items), 'application/json');
+    }
+    log.info('Exported forecasts.', { format, count: items.length });
+  }
+
+  // Adds the forecasts from a JSON export, chosen with the import file input, to the
+  // history. Forecasts already shown are skipped; imported ones don't expire.
+  async importHistory(event) {
+    const input = event.target;
+    const [file] = input.files;
+    if (!file) return;
+
+    let imported;
+    try {
+      imported = forecastsFromJson(await file.text());
+    } catch (error) {
+      if (!(error instanceof ForecastImportError)) throw error;
+      log.warn('Import failed.', { reason: error.reason, file: file.name });
+      this._showHistoryMessage(t(`history.import_${error.reason}`), { error: true });
+      return;
+    } finally {
+      input.value = ''; // Lets the same file be chosen again
     }
 
-    const createdAt = forecastItem.timestamp; // Use the timestamp from when it became current/was fetched
-    // console.log('[DEBUG] forecastItem.timestamp:', createdAt);
+    const readingKey = item => `${item.timestamp}:${forecastItemKey(item)}`; // Same place, same fetch
+    const shown = new Set([this.currentForecastItem, ...this.historyForecasts].filter(Boolean).map(readingKey));
+    const added = imported.items.filter(item => !shown.has(readingKey(item)));
+    added.forEach(item => {
+      item.imported = true;
+      this.forecastClient.remember(forecastItemKey(item), item.forecastData, item.timestamp);
+      this.historyForecasts.push(item); // Imports go after existing entries, so the max count drops them first
+      this._addForecastToHistoryDOM(item);
+    });
+    this._pruneExpiredForecasts();
+    this._persistForecasts();
+    this._renderComparison();
+
+    const count = added.filter(item => this.historyForecasts.includes(item)).length;
+    log.info('Imported forecasts.', { count, duplicates: imported.items.length - added.length, skipped: imported.skipped });
+    this._showHistoryMessage(t('history.imported', { count, total: imported.items.length + imported.skipped }));
+  }
 
-    const timeAgoString = this._timeAgo(createdAt);
-    // console.log('[DEBUG] _timeAgo returned:', timeAgoString);
+  _showHistoryMessage(message, { error = false } = {}) {
+    if (!this.hasHistoryMessageTarget) return;
+    this.historyMessageTarget.textContent = message;
+    this.historyMessageTarget.classList.remove('hidden');
+    this.historyMessageTarget.classList.toggle('text-red-700', error);
+    this.historyMessageTarget.classList.toggle('text-gray-600', !error);
+  }
 
-    const timeAgoTextElement = document.createElement('p');
-    timeAgoTextElement.classList.add('text-xs', 'text-gray-500', 'mt-1');
-    timeAgoTextElement.textContent = timeAgoString;
-    // console.log('[DEBUG] timeAgoTextElement created:', timeAgoTextElement);
+  _maxHistoryAgeMs() {
+    return this.historyPreferences.maxAgeMinutes * 60 * 1000;
+  }
 
-    historyEntry.innerHTML = `
-      <p class="font-semibold">${data.address || 'Address N/A'}</p>
-      <pre class="text-sm">${historyDisplay}</pre>
-    `;
-    historyEntry.appendChild(timeAgoTextElement);
-    // console.log('[DEBUG] historyEntry after appending timeAgoTextElement:', historyEntry.outerHTML);
-    
-    forecastItem.domElement = historyEntry; // Store reference to DOM element
-    this.resultsListTarget.prepend(historyEntry);
-    // console.log(`[GMP Autocomplete] Added to history DOM: ${forecastItem.placeId}`);
+  // Keyboard navigation for the history list: arrow keys, Home and End move between
+  // entries, Enter makes the focused entry the current forecast, Delete removes it.
+  historyKeydown(event) {
+    const item = this._historyItemForElement(event.target);
+    if (!item) return; // Keys pressed on controls inside an entry keep their default behaviour
+
+    const entries = this._historyEntries();
+    const index = entries.indexOf(event.target);
+    switch (event.key) {
+      case 'ArrowDown':
+        this._focusHistoryEntry(entries[Math.min(index + 1, entries.length - 1)]);
+        break;
+      case 'ArrowUp':
+        this._focusHistoryEntry(entries[Math.max(index - 1, 0)]);
+        break;
+      case 'Home':
+        this._focusHistoryEntry(entries[0]);
+        break;
+      case 'End':
+        this._focusHistoryEntry(entries[entries.length - 1]);
+        break;
+      case 'Enter':
+        this._openHistoryItem(item);
+        break;
+      case 'Delete':
+      case 'Backspace':
+        this._removeHistoryItem(item);
+        break;
+      default:
+        return;
+    }
+    event.preventDefault();
+  }
+
+  // Keeps the roving tab stop on whichever entry was focused last (e.g. by clicking).
+  historyFocus(event) {
+    if (this._historyItemForElement(event.target)) this._syncHistoryTabStops(event.target);
+  }
+
+  // Clicking an entry, other than on its own controls, makes it the current forecast.
+  historyClick(event) {
+    if (event.target.closest('button, a, input, label, select, summary')) return;
+    const entry = event.target.closest('[role="listitem"]');
+    const item = entry && this._historyItemForElement(entry);
+    if (item) this._openHistoryItem(item);
+  }
+
+  // Promotes a history entry, first looking its place up again if the stored forecast
+  // is older than FORECAST_FRESHNESS_MS (history can be kept for longer than that).
+  async _openHistoryItem(item) {
+    if (Date.now() - item.timestamp < FORECAST_FRESHNESS_MS) {
+      this._promoteHistoryItem(item);
+      return;
+    }
+
+    log.info('Refreshing stale history entry.', { address: item.forecastData && item.forecastData.address });
+    const shown = await this._fetchAndShowForecast(this._lookupForItem(item), { placeId: item.placeId });
+    if (!shown) return;
+    // The fresh forecast replaces the stale entry rather than sitting next to it.
+    if (this.historyForecasts.includes(item)) this._removeHistoryItem(item);
+    if (this.hasPlaceTitleTarget) this.placeTitleTarget.focus();
+  }
+
+  // Makes a history entry the current forecast; the previous current forecast moves into history.
+  _promoteHistoryItem(item) {
+    this._beginLookup(); // Results of lookups still in flight must not replace it
+    log.info('Promoted from history.', { address: item.forecastData && item.forecastData.address });
+    this._preservingHistoryFocus(() => {
+      this.historyForecasts = this.historyForecasts.filter(historyItem => historyItem !== item);
+      this._removeForecastFromHistoryDOM(item);
+      item.domElement = null;
+      if (this.currentForecastItem) {
+        this.historyForecasts.unshift(this.currentForecastItem);
+        this._addForecastToHistoryDOM(this.currentForecastItem);
+      }
+    });
+
+    this.currentForecastItem = item;
+    this._displayCurrentForecast();
+    this._persistForecasts();
+    this._renderComparison();
+    this._recordLookupInHistory(this._lookupForItem(item), 'push');
+    if (this.hasPlaceTitleTarget) this.placeTitleTarget.focus();
+  }
+
+  _removeHistoryItem(item) {
+    log.info('Removed from history.', { address: item.forecastData && item.forecastData.address });
+    this._preservingHistoryFocus(() => {
+      this.historyForecasts = this.historyForecasts.filter(historyItem => historyItem !== item);
+      this._removeForecastFromHistoryDOM(item);
+    });
+    this._persistForecasts();
+    this._renderComparison();
+    this._applyHistoryView();
+  }
+
+  // The /api/v1/forecasts payload that looks up a stored forecast again.
+  _lookupForItem(item) {
+    const data = item.forecastData;
+    const placeId = item.placeId || data.google_place_id;
+    return placeId ? { place_id: placeId, lat: data.latitude, lng: data.longitude } : { lat: data.latitude, lng: data.longitude };
+  }
+
+  // The entries shown in the list, in display order; those hidden by the filter are skipped.
+  _historyEntries() {
+    if (!this.hasResultsListTarget) return [];
+    return Array.from(this.resultsListTarget.querySelectorAll('[role="listitem"]')).filter(entry => !entry.hidden);
+  }
+
+  _historyItemForElement(element) {
+    return this.historyForecasts.find(item => item.domElement === element);
+  }
+
+  _focusHistoryEntry(entry) {
+    if (!entry) return;
+    this._syncHistoryTabStops(entry);
+    entry.focus();
+  }
+
+  // Roving tabindex: exactly one entry (the active one, else the first) is in the tab order.
+  _syncHistoryTabStops(activeEntry = null) {
+    const entries = this._historyEntries();
+    const active = entries.includes(activeEntry) ? activeEntry : (entries.find(entry => entry.tabIndex === 0) || entries[0]);
+    entries.forEach(entry => {
+      entry.tabIndex = entry === active ? 0 : -1;
+    });
+  }
+
+  // Runs `removeEntries` and, if it removed the focused history entry, moves focus to the
+  // next remaining entry (or the previous one, or the current forecast title when the list is empty).
+  _preservingHistoryFocus(removeEntries) {
+    const entriesBefore = this._historyEntries();
+    const focusedIndex = entriesBefore.findIndex(entry => entry.contains(document.activeElement));
+
+    removeEntries();
+
+    const entriesAfter = this._historyEntries();
+    const lostFocus = focusedIndex !== -1 && !entriesAfter.includes(entriesBefore[focusedIndex]);
+    if (!lostFocus) {
+      this._syncHistoryTabStops();
+      return;
+    }
+
+    const remaining = (entry) => entriesAfter.includes(entry);
+    const next = entriesBefore.slice(focusedIndex + 1).find(remaining) ||
+      entriesBefore.slice(0, focusedIndex).reverse().find(remaining);
+    if (next) {
+      this._focusHistoryEntry(next);
+    } else {
+      this._syncHistoryTabStops();
+      if (this.hasPlaceTitleTarget) this.placeTitleTarget.focus();
+    }
   }
 
   _removeForecastFromHistoryDOM(forecastItem) {
     if (forecastItem.domElement && forecastItem.domElement.parentNode) {
       forecastItem.domElement.parentNode.removeChild(forecastItem.domElement);
-      // console.log(`[GMP Autocomplete] Removed from history DOM: ${forecastItem.placeId}`);
     }
   }
 
+  // Drops history entries older than the max age setting, and the oldest entries
+  // beyond the max count (history is kept most recently added first). Entries for
+  // favourite places are kept and don't count towards the max; imported entries, and
+  // last-known ones while offline, don't expire but do count.
   _pruneExpiredForecasts() {
     const now = new Date().getTime();
+    const maxAgeMs = this._maxHistoryAgeMs();
+    const { maxCount } = this.historyPreferences;
+    const offline = isOffline();
+    const favoriteKeys = new Set(loadFavorites().map(favorite => favorite.key)); // Read once, not per item
     const forecastsToKeep = [];
-    
-    this.historyForecasts.forEach(item => {
-      // item.timestamp is already a numeric timestamp (Date.now())
-    const itemAge = now - item.timestamp;
-      if (itemAge < this.MAX_HISTORY_AGE_MS) {
-        forecastsToKeep.push(item);
-      } else {
-        this._removeForecastFromHistoryDOM(item);
-        // console.log(`[GMP Autocomplete] Pruned expired forecast: ${item.placeId}`);
-      }
+    let kept = 0;
+
+    this._preservingHistoryFocus(() => {
+      this.historyForecasts.forEach(item => {
+        // item.timestamp is already a numeric timestamp (Date.now())
+        const itemAge = now - item.timestamp;
+        const exempt = item.imported || (item.offline && offline);
+        if (favoriteKeys.has(forecastItemKey(item))) {
+          forecastsToKeep.push(item);
+        } else if ((itemAge < maxAgeMs || exempt) && kept < maxCount) {
+          forecastsToKeep.push(item);
+          kept += 1;
+        } else {
+          this._removeForecastFromHistoryDOM(item);
+          const reason = itemAge < maxAgeMs || exempt ? 'Pruned forecast over the history limit.' : 'Pruned expired forecast.';
+          log.info(reason, { address: item.forecastData && item.forecastData.address, placeId: item.placeId });
+        }
+      });
     });
+    const pruned = forecastsToKeep.length !== this.historyForecasts.length;
     this.historyForecasts = forecastsToKeep;
     // No need to re-render the entire list, just remove specific expired items
+    if (pruned) {
+      this._persistForecasts();
+      this._renderComparison();
+      this._applyHistoryView();
+    }
+  }
+
+  // Replaces the in-memory forecasts with a stored snapshot ({ current, history })
+  // and rebuilds the display. Used on connect and when another tab writes.
+  _restoreForecasts({ current, history }) {
+    const now = Date.now();
+    const offline = isOffline();
+    const favoriteKeys = new Set(loadFavorites().map(favorite => favorite.key));
+    const isFresh = (item) => now - item.timestamp < this._maxHistoryAgeMs() || item.imported || (item.offline && offline) || favoriteKeys.has(forecastItemKey(item));
+
+    this.historyForecasts.forEach(item => this._removeForecastFromHistoryDOM(item));
+
+    const hadCurrent = !!this.currentForecastItem;
+    this.currentForecastItem = current && isFresh(current) ? current : null;
+    this.historyForecasts = history.filter(isFresh);
+    log.info('Restored forecasts from storage.', { current: !!this.currentForecastItem, history: this.historyForecasts.length });
+
+    if (this.currentForecastItem || hadCurrent) this._displayCurrentForecast();
+    this._followForecasts();
+    // Re-selecting a restored forecast needs no request while it is fresh (the client ignores stale ones).
+    [this.currentForecastItem, ...this.historyForecasts].filter(Boolean).forEach(item => {
+      this.forecastClient.remember(forecastItemKey(item), item.forecastData, item.timestamp);
+    });
+    // History is stored newest first and _addForecastToHistoryDOM prepends, so add oldest first.
+    [...this.historyForecasts].reverse().forEach(item => this._addForecastToHistoryDOM(item));
+    this._renderComparison();
   }
 
-    // New method to refresh all history item time ages
+  _persistForecasts() {
+    saveForecasts({ current: this.currentForecastItem, history: this.historyForecasts });
+    this._followForecasts();
+    this._renderTrend(); // History changes can add or remove readings of the current place
+  }
+
+  // Follows live updates for every place shown, current or in history.
+  _followForecasts() {
+    this.forecastUpdates.follow([this.currentForecastItem, ...this.historyForecasts].filter(Boolean).map(forecastItemKey));
+  }
+
+  // Refreshes the relative fetch time on the current forecast and every history item
   _refreshAllTimeAges() {
     // Refresh history items
     if (this.hasResultsListTarget) {
-      const historyItems = this.resultsListTarget.querySelectorAll('div[data-timestamp]');
+      const historyItems = this.resultsListTarget.querySelectorAll('[data-timestamp]');
       historyItems.forEach(itemDiv => {
         const timestamp = parseInt(itemDiv.dataset.timestamp, 10);
         if (!isNaN(timestamp)) {
-          const timeAgoTextElement = itemDiv.querySelector('p.text-xs.text-gray-500.mt-1');
+          const timeAgoTextElement = itemDiv.querySelector('.forecast-time-ago');
           if (timeAgoTextElement) {
             timeAgoTextElement.textContent = this._timeAgo(timestamp);
           }
@@ -345,7 +1216,7 @@ export default class extends Controller {
     if (this.currentForecastItem && this.hasPlaceInfoTarget && this.placeInfoTarget.dataset.timestamp) {
       const timestamp = parseInt(this.placeInfoTarget.dataset.timestamp, 10);
       if (!isNaN(timestamp)) {
-        const timeAgoTextElement = this.placeInfoTarget.querySelector('p.current-forecast-time-ago');
+        const timeAgoTextElement = this.placeInfoTarget.querySelector('.forecast-time-ago');
         if (timeAgoTextElement) {
           timeAgoTextElement.textContent = this._timeAgo(timestamp);
         }
@@ -354,21 +1225,7 @@ export default class extends Controller {
   }
 
   _timeAgo(timestamp) {
-    const now = Date.now();
-    const secondsPast = (now - timestamp) / 1000;
-
-    if (secondsPast < 5) { 
-      return 'just now';
-    }
-    if (secondsPast < 60) {
-      return `${Math.round(secondsPast)} seconds ago`;
-    }
-    
-    const minutesPast = Math.round(secondsPast / 60);
-    if (minutesPast === 1) {
-      return '1 minute ago';
-    }
-    return `${minutesPast} minutes ago`;
+    return formatRelativeTime(timestamp);
   }
 
   // Original fillInAddress, if needed elsewhere, or can be removed if not used.
@@ -378,10 +1235,10 @@ export default class extends Controller {
     // for display or other purposes, but it's not directly used by the forecast logic now.
     // If it's confirmed unused, we can remove it later.
     if (!place || !place.address_components) {
-      console.warn("[GMP Autocomplete] fillInAddress called but no address components found.");
+      log.warn('fillInAddress called but no address components found.');
       return;
     }
     // ... (rest of original fillInAddress logic)
-    // console.log("[GMP Autocomplete] fillInAddress was called (original function).")
+    log.debug('fillInAddress was called (original function).');
   }
 }
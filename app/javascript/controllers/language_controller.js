@@ -0,0 +1,59 @@
+import { Controller } from "@hotwired/stimulus";
+import { element } from "forecast/dom";
+import { getLocale, getSavedLocale, setLocale, t, translatedLocales } from "forecast/i18n";
+
+// Language setting. Offers the page's language, the languages config/locales has
+// strings for and the browser's preferred ones. Persists the choice and dispatches
+// `language:changed` on window so every forecast controller can re-render in place.
+export default class extends Controller {
+  static targets = ["select"];
+
+  connect() {
+    this._renderOptions();
+  }
+
+  select() {
+    setLocale(this.selectTarget.value || null);
+    this._renderOptions(); // The automatic option is labelled in the chosen language
+    this.dispatch("changed", { target: window, detail: { locale: getLocale() } });
+  }
+
+  _renderOptions() {
+    const pageLocale = document.documentElement.lang || navigator.language;
+    const automatic = this._option('', t('language.automatic', { language: this._languageName(pageLocale) }));
+    const options = this._locales().map(locale => this._option(locale, this._languageName(locale)));
+    this.selectTarget.replaceChildren(automatic, ...options);
+    this.selectTarget.value = getSavedLocale() || '';
+  }
+
+  _option(value, label) {
+    const option = element('option', null, label);
+    option.value = value;
+    return option;
+  }
+
+  // Distinct supported language tags, translated ones first.
+  _locales() {
+    const seen = new Set();
+    return [...translatedLocales(), ...(navigator.languages || [])].filter(locale => {
+      let canonical;
+      try {
+        [canonical] = Intl.getCanonicalLocales(locale);
+      } catch (error) {
+        return false; // Malformed language tag
+      }
+      if (seen.has(canonical)) return false;
+      seen.add(canonical);
+      return true;
+    });
+  }
+
+  // The language's own name for itself, e.g. "Deutsch" for "de".
+  _languageName(locale) {
+    try {
+      return new Intl.DisplayNames([locale], { type: 'language' }).of(locale) || locale;
+    } catch (error) {
+      return locale;
+    }
+  }
+}
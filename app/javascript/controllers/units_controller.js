@@ -0,0 +1,29 @@
+import { Controller } from "@hotwired/stimulus";
+import { getUnitSystem, setUnitSystem } from "forecast/units";
+
+// Imperial/metric switch. Persists the choice and dispatches `units:changed` on
+// window so every forecast controller on the page can re-render in place.
+export default class extends Controller {
+  static targets = ["option"];
+
+  connect() {
+    this._highlight(getUnitSystem());
+  }
+
+  select(event) {
+    const { system } = event.params;
+    setUnitSystem(system);
+    this._highlight(system);
+    this.dispatch("changed", { target: window, detail: { system } });
+  }
+
+  _highlight(system) {
+    this.optionTargets.forEach(option => {
+      const selected = option.dataset.unitsSystemParam === system;
+      option.setAttribute('aria-pressed', selected);
+      option.classList.toggle('bg-blue-600', selected);
+      option.classList.toggle('text-white', selected);
+      option.classList.toggle('text-gray-700', !selected);
+    });
+  }
+}
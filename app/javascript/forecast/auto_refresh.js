@@ -0,0 +1,64 @@
+// Schedules background refreshes of the current forecast once it is older than the
+// freshness window, the same 30 minutes after which Location#forecast_expired?
+// makes the server fetch new data. Nothing is refreshed while the tab is hidden;
+// a refresh that fell due in the meantime runs as soon as the tab is shown again.
+
+const RETRY_DELAY_MS = 5 * 60 * 1000; // After a failed refresh
+
+export class ForecastRefresher {
+  // `onRefresh()` is called when a refresh is due and the page is visible.
+  constructor({ freshnessMs, onRefresh }) {
+    this.freshnessMs = freshnessMs;
+    this.onRefresh = onRefresh;
+    this.timer = null;
+    this.due = false; // Fell due while the tab was hidden
+    this.boundVisibilityChange = this._visibilityChange.bind(this);
+    document.addEventListener('visibilitychange', this.boundVisibilityChange);
+  }
+
+  // Refreshes once the forecast fetched at `timestamp` goes stale; no timestamp cancels.
+  schedule(timestamp) {
+    if (typeof timestamp !== 'number') {
+      this.cancel();
+      return;
+    }
+    this._startTimer(timestamp + this.freshnessMs - Date.now());
+  }
+
+  // Tries again a while after a failed refresh.
+  retryLater() {
+    this._startTimer(RETRY_DELAY_MS);
+  }
+
+  cancel() {
+    clearTimeout(this.timer);
+    this.timer = null;
+    this.due = false;
+  }
+
+  disconnect() {
+    this.cancel();
+    document.removeEventListener('visibilitychange', this.boundVisibilityChange);
+  }
+
+  _startTimer(delayMs) {
+    this.cancel();
+    this.timer = setTimeout(() => {
+      this.timer = null;
+      this._fire();
+    }, Math.max(delayMs, 0));
+  }
+
+  _fire() {
+    if (document.visibilityState === 'hidden') {
+      this.due = true;
+      return;
+    }
+    this.due = false;
+    this.onRefresh();
+  }
+
+  _visibilityChange() {
+    if (this.due && document.visibilityState !== 'hidden') this._fire();
+  }
+}
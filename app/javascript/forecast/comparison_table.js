@@ -0,0 +1,90 @@
+// Side-by-side comparison of several forecasts, one column per place. The
+// warmest, coldest and windiest places are badged and their cells highlighted.
+
+import { element } from "forecast/dom";
+import { formatPercent, t } from "forecast/i18n";
+import { formatTemperature, formatWindSpeed, getUnitSystem } from "forecast/units";
+
+const NOT_AVAILABLE = '–';
+
+function currentOf(item) {
+  return (item.forecastData && item.forecastData.forecast && item.forecastData.forecast.current) || {};
+}
+
+// Index of the item with the highest (or lowest) numeric value, or -1 if none has one.
+function extremeIndex(items, field, pickHigher) {
+  let bestIndex = -1;
+  items.forEach((item, index) => {
+    const value = currentOf(item)[field];
+    if (typeof value !== 'number') return;
+    if (bestIndex === -1) {
+      bestIndex = index;
+      return;
+    }
+    const best = currentOf(items[bestIndex])[field];
+    if (pickHigher ? value > best : value < best) bestIndex = index;
+  });
+  return bestIndex;
+}
+
+// `items` are forecast items ({ placeId, forecastData, timestamp }), at least two.
+export function buildComparisonTable(items, { unitSystem = getUnitSystem() } = {}) {
+  const highlights = {
+    warmest: extremeIndex(items, 'temp_f', true),
+    coldest: extremeIndex(items, 'temp_f', false),
+    windiest: extremeIndex(items, 'wind_speed_mph', true)
+  };
+  // With identical temperatures there is no meaningful warmest/coldest.
+  if (highlights.warmest !== -1 && currentOf(items[highlights.warmest]).temp_f === currentOf(items[highlights.coldest]).temp_f) {
+    highlights.warmest = highlights.coldest = -1;
+  }
+
+  const rows = [
+    { label: t('comparison.temperature'), value: current => formatTemperature(current.temp_f, unitSystem), highlight: ['warmest', 'coldest'] },
+    { label: t('comparison.feels_like'), value: current => formatTemperature(current.feels_like_f, unitSystem) },
+    { label: t('comparison.humidity'), value: current => formatPercent(current.humidity_percent) },
+    { label: t('comparison.wind'), value: current => formatWindSpeed(current.wind_speed_mph, unitSystem), highlight: ['windiest'] },
+    { label: t('comparison.conditions'), value: current => current.conditions }
+  ];
+  const highlightClasses = { warmest: 'bg-red-50 text-red-700', coldest: 'bg-blue-50 text-blue-700', windiest: 'bg-amber-50 text-amber-700' };
+
+  const table = element('table', 'forecast-comparison w-full text-xs border-collapse');
+  table.appendChild(element('caption', 'sr-only', t('comparison.caption')));
+
+  const headRow = element('tr');
+  headRow.appendChild(element('th', 'p-2 text-left text-gray-500 font-normal', ''));
+  items.forEach((item, index) => {
+    const header = element('th', 'p-2 text-left align-top font-semibold text-gray-800');
+    header.scope = 'col';
+    header.appendChild(element('span', 'block', (item.forecastData && item.forecastData.address) || t('address_not_available')));
+    Object.entries(highlights).forEach(([name, highlightIndex]) => {
+      if (highlightIndex === index) {
+        header.appendChild(element('span', `inline-block mt-1 mr-1 px-1 rounded font-normal ${highlightClasses[name]}`, t(`comparison.${name}`)));
+      }
+    });
+    headRow.appendChild(header);
+  });
+  table.appendChild(element('thead')).appendChild(headRow);
+
+  const body = element('tbody', 'divide-y divide-gray-100');
+  rows.forEach(row => {
+    const tableRow = element('tr');
+    const label = element('th', 'p-2 text-left font-normal text-gray-500', row.label);
+    label.scope = 'row';
+    tableRow.appendChild(label);
+
+    items.forEach((item, index) => {
+      const cell = element('td', 'p-2 text-gray-800', row.value(currentOf(item)) || NOT_AVAILABLE);
+      (row.highlight || []).forEach(name => {
+        if (highlights[name] === index) cell.className += ` font-semibold ${highlightClasses[name]}`;
+      });
+      tableRow.appendChild(cell);
+    });
+    body.appendChild(tableRow);
+  });
+  table.appendChild(body);
+
+  const wrapper = element('div', 'overflow-x-auto');
+  wrapper.appendChild(table);
+  return wrapper;
+}
@@ -0,0 +1,111 @@
+// Presentation helpers for the current-conditions fields of /api/v1/forecasts:
+// condition icons from OpenWeatherMap icon codes, wind direction, local times of
+// sunrise/sunset and whether a reading was taken during the day or at night.
+
+import { element } from "forecast/dom";
+import { formatTime, t } from "forecast/i18n";
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+
+// Keyed by the numeric part of the icon code ("10d" -> "10"). See
+// https://openweathermap.org/weather-conditions#Icon-list. `label` is a key under
+// forecast.conditions in config/locales.
+const CONDITION_ICONS = {
+  '01': { day: '☀️', night: '🌙', label: 'clear' },
+  '02': { day: '🌤️', night: '☁️', label: 'few_clouds' },
+  '03': { day: '⛅', night: '☁️', label: 'scattered_clouds' },
+  '04': { day: '☁️', night: '☁️', label: 'broken_clouds' },
+  '09': { day: '🌧️', night: '🌧️', label: 'showers' },
+  '10': { day: '🌦️', night: '🌧️', label: 'rain' },
+  '11': { day: '⛈️', night: '⛈️', label: 'thunderstorm' },
+  '13': { day: '❄️', night: '❄️', label: 'snow' },
+  '50': { day: '🌫️', night: '🌫️', label: 'mist' }
+};
+const UNKNOWN_ICON = { day: '🌡️', night: '🌡️', label: 'unknown' };
+
+const COMPASS_POINTS = ['N', 'NNE', 'NE', 'ENE', 'E', 'ESE', 'SE', 'SSE', 'S', 'SSW', 'SW', 'WSW', 'W', 'WNW', 'NW', 'NNW'];
+
+function parseTime(value) {
+  if (value === undefined || value === null || value === '') return null;
+  const parsed = new Date(value);
+  return isNaN(parsed) ? null : parsed;
+}
+
+// 'day', 'night' or null. Uses observed_at against that day's sunrise and sunset,
+// falling back to the "d"/"n" suffix of the icon code.
+export function dayPeriod(current = {}) {
+  const observedAt = parseTime(current.observed_at);
+  const sunrise = parseTime(current.sunrise_at);
+  const sunset = parseTime(current.sunset_at);
+  if (observedAt && sunrise && sunset) {
+    return observedAt >= sunrise && observedAt < sunset ? 'day' : 'night';
+  }
+
+  const suffix = typeof current.icon_code === 'string' ? current.icon_code.slice(-1) : null;
+  if (suffix === 'd') return 'day';
+  if (suffix === 'n') return 'night';
+  return null;
+}
+
+// Formats an ISO time in the location's local time when its UTC offset is known,
+// otherwise in the browser's time zone. Returns null for missing or invalid times.
+export function formatLocalTime(value, utcOffsetSeconds) {
+  const parsed = parseTime(value);
+  if (!parsed) return null;
+  if (typeof utcOffsetSeconds !== 'number') return formatTime(parsed);
+  return formatTime(new Date(parsed.getTime() + utcOffsetSeconds * 1000), { timeZone: 'UTC' });
+}
+
+// Sixteen-point compass name for a meteorological wind direction (the direction the
+// wind blows from), or null.
+export function compassPoint(degrees) {
+  if (typeof degrees !== 'number' || !Number.isFinite(degrees)) return null;
+  const normalized = ((degrees % 360) + 360) % 360;
+  return COMPASS_POINTS[Math.round(normalized / 22.5) % COMPASS_POINTS.length];
+}
+
+// Emoji icon with an accessible label. The emoji follows `period` so clear nights
+// show a moon even if the icon code says otherwise.
+export function buildConditionIcon(current = {}, { period = dayPeriod(current), className = 'text-4xl leading-none' } = {}) {
+  const code = typeof current.icon_code === 'string' ? current.icon_code.slice(0, 2) : null;
+  const icon = CONDITION_ICONS[code] || UNKNOWN_ICON;
+  const node = element('span', `forecast-condition-icon ${className}`, period === 'night' ? icon.night : icon.day);
+  node.setAttribute('role', 'img');
+  node.setAttribute('aria-label', current.conditions || t(`conditions.${icon.label}`));
+  return node;
+}
+
+// Small compass with an arrow pointing where the wind is blowing to.
+export function buildWindCompass(degrees) {
+  const point = compassPoint(degrees);
+  const svg = document.createElementNS(SVG_NS, 'svg');
+  svg.setAttribute('class', 'forecast-wind-compass h-6 w-6 text-blue-600');
+  svg.setAttribute('viewBox', '0 0 24 24');
+  svg.setAttribute('role', 'img');
+  svg.setAttribute('aria-label', point ? t('card.wind_from', { direction: point }) : t('card.wind_direction_not_available'));
+
+  const dial = document.createElementNS(SVG_NS, 'circle');
+  dial.setAttribute('cx', '12');
+  dial.setAttribute('cy', '12');
+  dial.setAttribute('r', '11');
+  dial.setAttribute('fill', 'none');
+  dial.setAttribute('stroke', '#d1d5db');
+  svg.appendChild(dial);
+
+  if (point) {
+    const arrow = document.createElementNS(SVG_NS, 'path');
+    arrow.setAttribute('d', 'M12 4 L16 16 L12 13 L8 16 Z');
+    arrow.setAttribute('fill', 'currentColor');
+    arrow.setAttribute('transform', `rotate(${(degrees + 180) % 360} 12 12)`);
+    svg.appendChild(arrow);
+  }
+  return svg;
+}
+
+// "Day"/"Night" pill for a reading, or null when it cannot be told.
+export function buildDayPeriodBadge(current = {}) {
+  const period = dayPeriod(current);
+  if (!period) return null;
+  const className = period === 'day' ? 'bg-amber-100 text-amber-800' : 'bg-indigo-100 text-indigo-800';
+  return element('span', `forecast-day-period inline-block px-2 py-0.5 rounded-full text-xs ${className}`, t(`card.${period}`));
+}
@@ -0,0 +1,95 @@
+// Builds the day-by-day forecast strip with an expandable hourly view, shared by
+// the gmp-autocomplete and forecast controllers. Expects the `forecast` array
+// returned by /api/v1/forecasts; any missing day, period or value is skipped or
+// shown as a dash instead of throwing.
+
+import { element } from "forecast/dom";
+import { formatLocalTime } from "forecast/conditions";
+import { formatDate, formatPercent, t } from "forecast/i18n";
+import { formatTemperature as formatUnitTemperature } from "forecast/units";
+
+const PLACEHOLDER = '–';
+
+function formatTemperature(value, unitSystem) {
+  return formatUnitTemperature(value, unitSystem, { maximumFractionDigits: 0 }) || PLACEHOLDER;
+}
+
+function formatChance(value) {
+  return formatPercent(value) || PLACEHOLDER;
+}
+
+// `date` is a local calendar date ("2025-05-12"); formatting it as UTC midnight keeps
+// the weekday from shifting with the browser's time zone.
+function formatDay(date) {
+  const parsed = new Date(`${date}T00:00:00Z`);
+  if (isNaN(parsed)) return date;
+  return formatDate(parsed, { weekday: 'short', month: 'short', day: 'numeric', timeZone: 'UTC' });
+}
+
+function buildDayButton(day, unitSystem) {
+  const button = element('button', 'flex-shrink-0 w-24 p-2 rounded-lg border border-gray-200 bg-white text-center text-xs hover:bg-blue-50 focus:outline-none focus:ring-2 focus:ring-blue-300');
+  button.type = 'button';
+  button.setAttribute('aria-expanded', 'false');
+  button.appendChild(element('span', 'block font-semibold text-gray-800', formatDay(day.date)));
+  button.appendChild(element('span', 'block text-gray-600 truncate', day.conditions || PLACEHOLDER));
+  button.appendChild(element('span', 'block text-gray-800', `${formatTemperature(day.high_f, unitSystem)} / ${formatTemperature(day.low_f, unitSystem)}`));
+  button.appendChild(element('span', 'block text-blue-600', t('daily.precipitation', { chance: formatChance(day.precipitation_chance) })));
+  return button;
+}
+
+function buildHourlyList(day, utcOffsetSeconds, unitSystem) {
+  const periods = Array.isArray(day.hourly) ? day.hourly.filter(Boolean) : [];
+  if (periods.length === 0) {
+    return element('p', 'text-xs text-gray-500', t('daily.no_hourly'));
+  }
+
+  const list = element('ul', 'divide-y divide-gray-100 text-xs');
+  periods.forEach(period => {
+    const row = element('li', 'grid grid-cols-4 gap-2 py-1');
+    row.appendChild(element('span', 'text-gray-600', formatLocalTime(period.time, utcOffsetSeconds) || PLACEHOLDER));
+    row.appendChild(element('span', 'col-span-2 text-gray-700 truncate', period.conditions || PLACEHOLDER));
+    row.appendChild(element('span', 'text-right text-gray-800', `${formatTemperature(period.temp_f, unitSystem)} · ${formatChance(period.precipitation_chance)}`));
+    list.appendChild(row);
+  });
+  return list;
+}
+
+export function buildDailyForecast(days, { utcOffsetSeconds, unitSystem } = {}) {
+  const container = element('div', 'daily-forecast mt-3');
+  const validDays = Array.isArray(days) ? days.filter(day => day && day.date) : [];
+
+  if (validDays.length === 0) {
+    container.appendChild(element('p', 'text-xs text-gray-500', t('daily.not_available')));
+    return container;
+  }
+
+  const strip = element('div', 'flex gap-2 overflow-x-auto pb-1');
+  const hourlyPanel = element('div', 'hourly-forecast mt-2 p-2 bg-white rounded-lg border border-gray-200 hidden');
+  let expandedButton = null;
+
+  validDays.forEach(day => {
+    const button = buildDayButton(day, unitSystem);
+    button.addEventListener('click', () => {
+      if (expandedButton) expandedButton.setAttribute('aria-expanded', 'false');
+
+      if (expandedButton === button) {
+        expandedButton = null;
+        hourlyPanel.classList.add('hidden');
+        return;
+      }
+
+      expandedButton = button;
+      button.setAttribute('aria-expanded', 'true');
+      hourlyPanel.replaceChildren(
+        element('p', 'text-xs font-semibold text-gray-700 mb-1', formatDay(day.date)),
+        buildHourlyList(day, utcOffsetSeconds, unitSystem)
+      );
+      hourlyPanel.classList.remove('hidden');
+    });
+    strip.appendChild(button);
+  });
+
+  container.appendChild(strip);
+  container.appendChild(hourlyPanel);
+  return container;
+}
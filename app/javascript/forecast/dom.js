@@ -0,0 +1,8 @@
+// Small DOM-building helper. Text is always assigned through textContent, so
+// server-provided strings (addresses, error messages) are never parsed as HTML.
+export function element(tag, className, text) {
+  const node = document.createElement(tag);
+  if (className) node.className = className;
+  if (text !== undefined && text !== null) node.textContent = text;
+  return node;
+}
@@ -0,0 +1,302 @@
+// Offline stand-ins for Google Places and POST /api/v1/forecasts, so the forecast
+// UI can be developed and driven by browser tests without network access or a
+// Maps key. Enabled per service by the layout's meta tag, which mirrors
+// `config.x.fake_services`:
+//
+//   <meta name="forecast-fake-services" content="places forecasts">
+//
+// The fake Places provider renders a plain input with canned suggestions and, on
+// selection, dispatches a real `gmp-select` event whose `placePrediction` has the
+// same toPlace()/fetchFields() shape as Google's, so gmp_autocomplete_controller
+// runs its normal code path. The fake forecast transport answers lookups for the
+// canned places (and any coordinates) with deterministic forecasts, singly or in batches.
+
+import { ForecastRequestError } from "forecast/forecast_client";
+import { t } from "forecast/i18n";
+import { registerPlaceSearchProvider } from "forecast/place_search";
+
+const FAKE_LATENCY_MS = 150;
+
+// Fixed places, ids prefixed so they can never collide with real Google place ids.
+export const FAKE_PLACES = [
+  { id: 'fake-new-york', name: 'New York', address: 'New York, NY, USA', lat: 40.7128, lng: -74.006, utcOffsetSeconds: -14400 },
+  { id: 'fake-london', name: 'London', address: 'London, UK', lat: 51.5072, lng: -0.1276, utcOffsetSeconds: 3600 },
+  { id: 'fake-tokyo', name: 'Tokyo', address: 'Tokyo, Japan', lat: 35.6762, lng: 139.6503, utcOffsetSeconds: 32400 },
+  { id: 'fake-sydney', name: 'Sydney', address: 'Sydney NSW, Australia', lat: -33.8688, lng: 151.2093, utcOffsetSeconds: 36000 },
+  { id: 'fake-reykjavik', name: 'Reykjavík', address: 'Reykjavík, Iceland', lat: 64.1466, lng: -21.9426, utcOffsetSeconds: 0 }
+];
+
+// True when the page enables the fake `name` service ('places' or 'forecasts').
+export function fakeServiceEnabled(name) {
+  const meta = document.querySelector('meta[name="forecast-fake-services"]');
+  return !!meta && meta.content.split(/[\s,]+/).includes(name);
+}
+
+// --- Places ---------------------------------------------------------------
+
+// Mimics google.maps.places.Place after fetchFields().
+function fakePlace(place) {
+  return {
+    id: place.id,
+    displayName: place.name,
+    formattedAddress: place.address,
+    location: { lat: () => place.lat, lng: () => place.lng },
+    async fetchFields() {
+      return { place: this };
+    }
+  };
+}
+
+// Mimics google.maps.places.PlacePrediction.
+function fakePrediction(place) {
+  return {
+    placeId: place.id,
+    text: { text: place.address },
+    async toPlace() {
+      return fakePlace(place);
+    }
+  };
+}
+
+function matchingPlaces(query) {
+  const normalized = query.trim().toLowerCase();
+  return FAKE_PLACES.filter(place => !normalized || place.address.toLowerCase().includes(normalized));
+}
+
+export const fakePlacesProvider = {
+  name: 'fake',
+
+  isAvailable() {
+    return fakeServiceEnabled('places');
+  },
+
+  mount(container) {
+    const wrapper = document.createElement('div');
+    wrapper.className = 'relative';
+
+    const input = document.createElement('input');
+    input.type = 'search';
+    input.placeholder = t('search.fake_placeholder');
+    input.setAttribute('role', 'combobox');
+    input.setAttribute('aria-autocomplete', 'list');
+    input.setAttribute('aria-expanded', 'false');
+    input.dataset.fakePlaces = '';
+    input.className = 'w-full px-3 py-2 border border-dashed border-amber-400 rounded-lg bg-amber-50 focus:outline-none focus:ring-2 focus:ring-amber-300';
+
+    const list = document.createElement('ul');
+    list.id = 'fake-place-suggestions';
+    list.setAttribute('role', 'listbox');
+    list.className = 'absolute z-10 w-full mt-1 bg-white border border-gray-200 rounded-lg shadow hidden';
+    input.setAttribute('aria-controls', list.id);
+
+    const close = () => {
+      list.classList.add('hidden');
+      input.setAttribute('aria-expanded', 'false');
+    };
+
+    // Same event Google's element fires: bubbles to the container with `placePrediction` set.
+    const select = (place) => {
+      close();
+      const event = new Event('gmp-select', { bubbles: true });
+      event.placePrediction = fakePrediction(place);
+      input.dispatchEvent(event);
+    };
+
+    const renderSuggestions = () => {
+      const places = matchingPlaces(input.value);
+      list.replaceChildren(...places.map(place => {
+        const option = document.createElement('li');
+        option.setAttribute('role', 'option');
+        option.dataset.placeId = place.id;
+        option.className = 'px-3 py-2 text-sm cursor-pointer hover:bg-amber-50';
+        option.textContent = place.address;
+        option.addEventListener('mousedown', (event) => {
+          event.preventDefault(); // Keep focus in the input until the selection is made
+          select(place);
+        });
+        return option;
+      }));
+      list.classList.toggle('hidden', places.length === 0);
+      input.setAttribute('aria-expanded', String(places.length > 0));
+    };
+
+    input.addEventListener('input', renderSuggestions);
+    input.addEventListener('focus', renderSuggestions);
+    input.addEventListener('blur', close);
+    input.addEventListener('keydown', (event) => {
+      if (event.key === 'Escape') close();
+      if (event.key !== 'Enter') return;
+      event.preventDefault();
+      const [first] = matchingPlaces(input.value);
+      if (first) select(first);
+    });
+
+    wrapper.append(input, list);
+    container.replaceChildren(wrapper);
+    return input;
+  }
+};
+
+registerPlaceSearchProvider(fakePlacesProvider);
+
+// --- Forecasts ------------------------------------------------------------
+
+function nearestFakePlace(lat, lng) {
+  return FAKE_PLACES.find(place => Math.abs(place.lat - lat) < 0.05 && Math.abs(place.lng - lng) < 0.05) || null;
+}
+
+function resolvePlace({ place_id, lat, lng, address }) {
+  if (place_id) return FAKE_PLACES.find(place => place.id === place_id) || null;
+  if (lat !== undefined && lat !== null && lng !== undefined && lng !== null) {
+    const latitude = Number(lat);
+    const longitude = Number(lng);
+    return nearestFakePlace(latitude, longitude) || {
+      id: null,
+      address: `${latitude.toFixed(4)}, ${longitude.toFixed(4)}`,
+      lat: latitude,
+      lng: longitude,
+      utcOffsetSeconds: Math.round(longitude / 15) * 3600
+    };
+  }
+  if (address) return matchingPlaces(address)[0] || null;
+  return null;
+}
+
+const FAKE_CONDITIONS = [
+  { conditions: 'Clear Sky', code: 800, icon: '01' },
+  { conditions: 'Few Clouds', code: 801, icon: '02' },
+  { conditions: 'Broken Clouds', code: 803, icon: '04' },
+  { conditions: 'Light Rain', code: 500, icon: '10' },
+  { conditions: 'Snow', code: 600, icon: '13' }
+];
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Cooler towards the poles and varying through the day, so places and readings differ.
+function fakeTemperature(place, time) {
+  const localHour = new Date(time + place.utcOffsetSeconds * 1000).getUTCHours();
+  const daily = 6 * Math.sin(((localHour - 9) / 24) * 2 * Math.PI);
+  return Math.round((85 - Math.abs(place.lat) * 0.8 + daily) * 10) / 10;
+}
+
+function fakeConditions(place, time) {
+  const index = Math.abs(Math.round(place.lat + place.lng) + Math.floor(time / (6 * HOUR_MS))) % FAKE_CONDITIONS.length;
+  return FAKE_CONDITIONS[index];
+}
+
+// Same shape as WeatherForecastService#format_forecast, serialised as JSON.
+function fakeForecast(place, now) {
+  const localMidnight = now - ((now + place.utcOffsetSeconds * 1000) % (24 * HOUR_MS));
+  const sunrise = localMidnight + 6 * HOUR_MS;
+  const sunset = localMidnight + 20 * HOUR_MS;
+  const isDay = now >= sunrise && now < sunset;
+  const current = fakeConditions(place, now);
+  const temp = fakeTemperature(place, now);
+
+  const days = [0, 1, 2, 3, 4].map(offset => {
+    const dayStart = localMidnight + offset * 24 * HOUR_MS;
+    const hourly = [0, 3, 6, 9, 12, 15, 18, 21].map(hour => {
+      const time = dayStart + hour * HOUR_MS;
+      const weather = fakeConditions(place, time);
+      return {
+        time: new Date(time).toISOString(),
+        temp_f: fakeTemperature(place, time),
+        feels_like_f: fakeTemperature(place, time) - 2,
+        humidity_percent: 60,
+        precipitation_chance: weather.code < 700 ? 70 : 10,
+        conditions: weather.conditions,
+        condition_code: weather.code,
+        icon_code: `${weather.icon}${hour >= 6 && hour < 20 ? 'd' : 'n'}`,
+        wind_speed_mph: 8,
+        wind_deg: 225
+      };
+    });
+    const temps = hourly.map(period => period.temp_f).concat(offset === 0 ? [temp] : []); // Today includes the current reading
+    const midday = hourly[4];
+    return {
+      date: new Date(dayStart + place.utcOffsetSeconds * 1000).toISOString().slice(0, 10),
+      high_f: Math.max(...temps),
+      low_f: Math.min(...temps),
+      precipitation_chance: Math.max(...hourly.map(period => period.precipitation_chance)),
+      conditions: midday.conditions,
+      condition_code: midday.condition_code,
+      icon_code: midday.icon_code,
+      hourly
+    };
+  });
+
+  return {
+    google_place_id: place.id,
+    address: place.address,
+    latitude: String(place.lat),
+    longitude: String(place.lng),
+    forecast: {
+      current: {
+        temp_f: temp,
+        feels_like_f: temp - 2,
+        temp_min_f: days[0].low_f,
+        temp_max_f: days[0].high_f,
+        conditions: current.conditions,
+        condition_code: current.code,
+        icon_code: `${current.icon}${isDay ? 'd' : 'n'}`,
+        pressure_hpa: 1015,
+        humidity_percent: 60,
+        wind_speed_mph: 8,
+        wind_deg: 225,
+        wind_gust_mph: 14,
+        location_name: place.name || null,
+        country: null,
+        sunrise_at: new Date(sunrise).toISOString(),
+        sunset_at: new Date(sunset).toISOString(),
+        observed_at: new Date(now).toISOString(),
+        utc_offset_seconds: place.utcOffsetSeconds
+      },
+      forecast: days
+    }
+  };
+}
+
+function abortError() {
+  return new DOMException('The operation was aborted.', 'AbortError');
+}
+
+const UNKNOWN_PLACE_ERROR = 'Could not determine coordinates for the provided input.';
+
+// Settles with `answer()` after the fake latency, or rejects when `signal` aborts.
+function afterLatency(signal, answer) {
+  return new Promise((resolve, reject) => {
+    if (signal && signal.aborted) return reject(abortError());
+
+    const timer = setTimeout(() => {
+      try {
+        resolve(answer());
+      } catch (error) {
+        reject(error);
+      }
+    }, FAKE_LATENCY_MS);
+
+    if (signal) {
+      signal.addEventListener('abort', () => {
+        clearTimeout(timer);
+        reject(abortError());
+      }, { once: true });
+    }
+  });
+}
+
+// Drop-in replacement for postForecast. Unknown places get the API's 422 response.
+export function fakeForecastTransport(payload, signal) {
+  return afterLatency(signal, () => {
+    const place = resolvePlace(payload || {});
+    if (!place) throw new ForecastRequestError(422, JSON.stringify({ error: UNKNOWN_PLACE_ERROR }));
+    return fakeForecast(place, Date.now());
+  });
+}
+
+// Drop-in replacement for postForecastBatch, answering each lookup like fakeForecastTransport.
+export function fakeForecastBatchTransport(payloads, signal) {
+  return afterLatency(signal, () => payloads.map(payload => {
+    const place = resolvePlace(payload || {});
+    return place ? fakeForecast(place, Date.now()) : { error: UNKNOWN_PLACE_ERROR, status: 422 };
+  }));
+}
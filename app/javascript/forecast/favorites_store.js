@@ -0,0 +1,95 @@
+// Places pinned to the favourites grid, kept in localStorage in the order they are
+// shown. Each favourite is { key, lookup, address }: `lookup` is the
+// POST /api/v1/forecasts payload that loads it and `key` its forecastKey().
+//
+// Every change dispatches `favorites:changed` on window, and other tabs see it
+// through the `storage` event; subscribeToFavorites covers both.
+
+import { forecastKey } from "forecast/forecast_client";
+import { createLogger } from "forecast/logger";
+
+const STORAGE_KEY = "forecast:favorites";
+const CHANGED_EVENT = "favorites:changed";
+const log = createLogger('Favorites Store');
+
+function isValidFavorite(favorite) {
+  return !!favorite && typeof favorite.key === 'string' && !!favorite.lookup && typeof favorite.lookup === 'object';
+}
+
+function parse(raw) {
+  if (!raw) return [];
+  try {
+    const stored = JSON.parse(raw);
+    return Array.isArray(stored) ? stored.filter(isValidFavorite) : [];
+  } catch (error) {
+    log.warn('Ignoring unreadable stored favourites.', error);
+    return [];
+  }
+}
+
+export function loadFavorites() {
+  try {
+    return parse(window.localStorage.getItem(STORAGE_KEY));
+  } catch (error) {
+    log.warn('localStorage is unavailable.', error);
+    return [];
+  }
+}
+
+function saveFavorites(favorites) {
+  try {
+    window.localStorage.setItem(STORAGE_KEY, JSON.stringify(favorites));
+  } catch (error) {
+    log.warn('Could not persist favourites.', error);
+  }
+  window.dispatchEvent(new CustomEvent(CHANGED_EVENT, { detail: { favorites } }));
+}
+
+export function isFavorite(key) {
+  return !!key && loadFavorites().some(favorite => favorite.key === key);
+}
+
+// Pins `lookup` at the end of the grid; pinning a place twice keeps the first one.
+export function addFavorite(lookup, address) {
+  const key = forecastKey(lookup);
+  if (!key || isFavorite(key)) return;
+  saveFavorites([...loadFavorites(), { key, lookup, address: address || null }]);
+  log.info('Pinned favourite.', { key, address });
+}
+
+export function removeFavorite(key) {
+  const favorites = loadFavorites();
+  const remaining = favorites.filter(favorite => favorite.key !== key);
+  if (remaining.length === favorites.length) return;
+  saveFavorites(remaining);
+  log.info('Unpinned favourite.', { key });
+}
+
+// Moves the favourite with `key` to position `index` (clamped to the list).
+export function moveFavorite(key, index) {
+  const favorites = loadFavorites();
+  const from = favorites.findIndex(favorite => favorite.key === key);
+  const to = Math.max(0, Math.min(index, favorites.length - 1));
+  if (from === -1 || from === to) return;
+  const [favorite] = favorites.splice(from, 1);
+  favorites.splice(to, 0, favorite);
+  saveFavorites(favorites);
+}
+
+// Calls `callback(favorites)` after every change, in this tab or another. Returns
+// a function that removes the listeners.
+export function subscribeToFavorites(callback) {
+  const changed = (event) => callback(event.detail.favorites);
+  const storage = (event) => {
+    if (event.storageArea !== window.localStorage) return;
+    if (event.key !== STORAGE_KEY && event.key !== null) return;
+    callback(parse(event.newValue));
+  };
+
+  window.addEventListener(CHANGED_EVENT, changed);
+  window.addEventListener('storage', storage);
+  return () => {
+    window.removeEventListener(CHANGED_EVENT, changed);
+    window.removeEventListener('storage', storage);
+  };
+}
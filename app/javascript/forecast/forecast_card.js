@@ -0,0 +1,203 @@
+// Shared forecast card and error notice used by the gmp-autocomplete and
+// forecast controllers for the current forecast, history entries and errors.
+// Everything is built as DOM nodes with text set through textContent, so
+// addresses and error messages from the server are never parsed as HTML.
+
+import { element } from "forecast/dom";
+import { buildDailyForecast } from "forecast/daily_forecast";
+import { buildConditionIcon, buildDayPeriodBadge, buildWindCompass, compassPoint, formatLocalTime } from "forecast/conditions";
+import { formatPercent, t } from "forecast/i18n";
+import { formatPressure, formatTemperature, formatWindSpeed, getUnitSystem } from "forecast/units";
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+
+function formatCoordinate(value) {
+  return value === undefined || value === null || value === '' ? t('not_available') : String(value);
+}
+
+// Tags `node` with the reading it shows and highlights it when that reading is in `changedFields`.
+function markField(node, field, changedFields) {
+  node.dataset.field = field;
+  if (changedFields && changedFields.has(field)) node.classList.add('forecast-changed', 'bg-yellow-100', 'rounded', 'px-1');
+  return node;
+}
+
+// Values compared by changedReadings, keyed by the field names used with markField.
+function comparableReadings(data) {
+  const forecast = (data && data.forecast) || {};
+  const current = forecast.current || {};
+  const today = (Array.isArray(forecast.forecast) && forecast.forecast[0]) || {};
+  return {
+    conditions: current.conditions,
+    temp_f: current.temp_f,
+    feels_like_f: current.feels_like_f,
+    high_low: [today.high_f, today.low_f].join('/'),
+    wind: [current.wind_speed_mph, current.wind_deg, current.wind_gust_mph].join('/'),
+    humidity_percent: current.humidity_percent,
+    pressure_hpa: current.pressure_hpa
+  };
+}
+
+// The fields whose readings differ between two responses for the same place, as
+// accepted by buildForecastCard's `changedFields` option.
+export function changedReadings(previousData, data) {
+  const before = comparableReadings(previousData);
+  const after = comparableReadings(data);
+  return new Set(Object.keys(after).filter(field => before[field] !== after[field]));
+}
+
+function buildSummary(current, today, unitSystem, changedFields) {
+  const summary = element('div', 'forecast-summary flex items-start justify-between gap-4');
+
+  const conditions = element('div', 'flex items-center gap-3');
+  conditions.appendChild(buildConditionIcon(current));
+  const conditionsText = element('div');
+  conditionsText.appendChild(markField(element('p', 'text-lg text-gray-800', current.conditions || t('not_available')), 'conditions', changedFields));
+  const badge = buildDayPeriodBadge(current);
+  if (badge) conditionsText.appendChild(badge);
+  conditions.appendChild(conditionsText);
+  summary.appendChild(conditions);
+
+  const temperatures = element('div', 'text-right');
+  temperatures.appendChild(markField(element('p', 'text-2xl font-bold text-gray-800', formatTemperature(current.temp_f, unitSystem) || t('not_available')), 'temp_f', changedFields));
+  temperatures.appendChild(markField(element('p', 'text-xs text-gray-600', t('card.feels_like', { temperature: formatTemperature(current.feels_like_f, unitSystem) || t('not_available') })), 'feels_like_f', changedFields));
+  if (today) {
+    const high = formatTemperature(today.high_f, unitSystem, { maximumFractionDigits: 0 }) || '–';
+    const low = formatTemperature(today.low_f, unitSystem, { maximumFractionDigits: 0 }) || '–';
+    temperatures.appendChild(markField(element('p', 'text-xs text-gray-600', t('card.high_low', { high, low })), 'high_low', changedFields));
+  }
+  summary.appendChild(temperatures);
+  return summary;
+}
+
+// "8 mph NW, gusts 14 mph"; null when there is no wind speed.
+function describeWind(current, unitSystem) {
+  const speed = formatWindSpeed(current.wind_speed_mph, unitSystem);
+  if (!speed) return null;
+  const point = compassPoint(current.wind_deg);
+  const wind = point ? `${speed} ${point}` : speed;
+  const gust = formatWindSpeed(current.wind_gust_mph, unitSystem);
+  return gust ? t('card.wind_gusts', { wind, gust }) : wind;
+}
+
+function buildDetails(data, current, unitSystem, changedFields) {
+  const localTime = value => formatLocalTime(value, current.utc_offset_seconds);
+  const rows = [
+    [t('card.wind'), describeWind(current, unitSystem), buildWindCompass(current.wind_deg), 'wind'],
+    [t('card.humidity'), formatPercent(current.humidity_percent), null, 'humidity_percent'],
+    [t('card.pressure'), formatPressure(current.pressure_hpa, unitSystem), null, 'pressure_hpa'],
+    [t('card.sunrise'), localTime(current.sunrise_at)],
+    [t('card.sunset'), localTime(current.sunset_at)],
+    [t('card.coordinates'), `${formatCoordinate(data.latitude)}, ${formatCoordinate(data.longitude)}`]
+  ];
+
+  const list = element('dl', 'forecast-details grid grid-cols-2 gap-x-4 gap-y-1 mt-2 text-xs');
+  rows.forEach(([label, value, graphic, field]) => {
+    list.appendChild(element('dt', 'text-gray-500', label));
+    const description = element('dd', 'flex items-center justify-end gap-1 text-gray-800 text-right');
+    if (graphic && value) description.appendChild(graphic);
+    const text = element('span', null, value || t('not_available'));
+    description.appendChild(field ? markField(text, field, changedFields) : text);
+    list.appendChild(description);
+  });
+  return list;
+}
+
+// One-line summary for history entries: icon, temperature, conditions and day/night.
+function buildCompactSummary(current, unitSystem, changedFields) {
+  const summary = element('div', 'forecast-summary flex items-center gap-2 text-sm');
+  summary.appendChild(buildConditionIcon(current, { className: 'text-xl leading-none' }));
+  summary.appendChild(markField(element('span', 'font-semibold text-gray-800', formatTemperature(current.temp_f, unitSystem) || t('not_available')), 'temp_f', changedFields));
+  summary.appendChild(markField(element('span', 'text-gray-600 truncate', current.conditions || t('not_available')), 'conditions', changedFields));
+  const badge = buildDayPeriodBadge(current);
+  if (badge) summary.appendChild(badge);
+  return summary;
+}
+
+// Builds the contents of a forecast card from an /api/v1/forecasts response.
+// Options:
+//   showAddress          - include the address as a heading (history entries, forecast controller)
+//   compact              - one-line summary without the details list (history entries)
+//   includeDailyForecast - append the day-by-day strip
+//   timeAgo              - relative fetch time, rendered in a `.forecast-time-ago` element
+//   unitSystem           - 'imperial' or 'metric'; defaults to the saved preference
+//   changedFields        - Set from changedReadings(); those readings are highlighted
+//   offline              - mark it as the last-known forecast, served while offline
+// Returns a DocumentFragment for the caller to place in its own container.
+export function buildForecastCard(data, { showAddress = false, compact = false, includeDailyForecast = false, timeAgo, unitSystem = getUnitSystem(), changedFields = null, offline = false } = {}) {
+  const fragment = document.createDocumentFragment();
+  const forecast = (data && data.forecast) || {};
+  const current = forecast.current;
+  const days = Array.isArray(forecast.forecast) ? forecast.forecast : [];
+
+  if (showAddress) {
+    fragment.appendChild(element('h3', 'forecast-address font-semibold text-gray-800 mb-1', (data && data.address) || t('address_not_available')));
+  }
+
+  if (current && compact) {
+    fragment.appendChild(buildCompactSummary(current, unitSystem, changedFields));
+  } else if (current) {
+    fragment.appendChild(buildSummary(current, days[0], unitSystem, changedFields));
+    fragment.appendChild(buildDetails(data, current, unitSystem, changedFields));
+  } else {
+    fragment.appendChild(element('p', 'text-sm text-gray-600', t('card.no_current_weather')));
+  }
+
+  if (includeDailyForecast) {
+    fragment.appendChild(buildDailyForecast(days, { utcOffsetSeconds: current ? current.utc_offset_seconds : undefined, unitSystem }));
+  }
+
+  if (offline) {
+    fragment.appendChild(element('p', 'forecast-offline inline-block mt-1 rounded bg-amber-100 px-1.5 text-xs font-medium text-amber-800', t('offline.last_known')));
+  }
+  if (timeAgo) {
+    fragment.appendChild(element('p', 'forecast-time-ago text-xs text-gray-500 mt-1', timeAgo));
+  }
+
+  return fragment;
+}
+
+function buildErrorIcon() {
+  const svg = document.createElementNS(SVG_NS, 'svg');
+  svg.setAttribute('class', 'h-5 w-5 text-red-400');
+  svg.setAttribute('viewBox', '0 0 20 20');
+  svg.setAttribute('fill', 'currentColor');
+  svg.setAttribute('aria-hidden', 'true');
+
+  const path = document.createElementNS(SVG_NS, 'path');
+  path.setAttribute('fill-rule', 'evenodd');
+  path.setAttribute('clip-rule', 'evenodd');
+  path.setAttribute('d', 'M10 18a8 8 0 100-16 8 8 0 000 16zM8.707 7.293a1 1 0 00-1.414 1.414L8.586 10l-1.293 1.293a1 1 0 101.414 1.414L10 11.414l1.293 1.293a1 1 0 001.414-1.414L11.414 10l1.293-1.293a1 1 0 00-1.414-1.414L10 8.586 8.707 7.293z');
+  svg.appendChild(path);
+  return svg;
+}
+
+// Red error notice with an icon. `message` and `title` are shown as plain text.
+// With `onRetry` it gets a Retry button and an empty `.forecast-retry-countdown`
+// element for the caller to fill while an automatic retry is pending.
+export function buildErrorNotice(message, { title, onRetry } = {}) {
+  const notice = element('div', 'forecast-error bg-red-50 border-l-4 border-red-500 p-4 mb-4');
+  notice.setAttribute('role', 'alert');
+
+  const layout = element('div', 'flex');
+  const iconWrapper = element('div', 'flex-shrink-0');
+  iconWrapper.appendChild(buildErrorIcon());
+  const textWrapper = element('div', 'ml-3');
+  if (title) textWrapper.appendChild(element('p', 'text-sm font-semibold text-red-800', title));
+  textWrapper.appendChild(element('p', 'text-sm text-red-700', message));
+  if (onRetry) {
+    const actions = element('div', 'flex items-center gap-3 mt-2');
+    const retryButton = element('button', 'forecast-retry px-3 py-1 text-sm rounded-lg border border-red-300 text-red-700 bg-white hover:bg-red-100', t('errors.retry'));
+    retryButton.type = 'button';
+    retryButton.addEventListener('click', onRetry);
+    // Updated every second, so kept out of the accessibility tree to avoid repeated announcements.
+    const countdown = element('span', 'forecast-retry-countdown text-xs text-red-600');
+    countdown.setAttribute('aria-hidden', 'true');
+    actions.append(retryButton, countdown);
+    textWrapper.appendChild(actions);
+  }
+
+  layout.append(iconWrapper, textWrapper);
+  notice.appendChild(layout);
+  return notice;
+}
@@ -0,0 +1,227 @@
+// Client for POST /api/v1/forecasts with an in-browser cache, coalescing of
+// identical in-flight requests and cancellation of superseded ones.
+//
+// Lookups are keyed by place ID, then rounded coordinates, then address. A cached
+// forecast is reused while it is younger than FORECAST_FRESHNESS_MS, matching the
+// server-side Location#forecast_expired? window.
+
+export const FORECAST_FRESHNESS_MS = 30 * 60 * 1000; // 30 minutes
+export const MAX_BATCH_SIZE = 20; // Api::V1::ForecastsController::MAX_BATCH_SIZE
+const CACHED_AT_HEADER = 'X-Forecast-Cached-At'; // Set by the service worker on last-known forecasts
+const offlineFetchTimes = new WeakMap(); // forecast -> when the service worker cached it
+
+// The `error` of an API error response ({ error: "…" }), or null for other bodies
+// such as HTML error pages.
+function parseErrorMessage(body) {
+  try {
+    const parsed = JSON.parse(body);
+    return parsed && typeof parsed.error === 'string' && parsed.error.trim() ? parsed.error : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+// Raised for non-2xx responses. `body` is the raw response text.
+export class ForecastRequestError extends Error {
+  constructor(status, body) {
+    super(`Server responded with ${status}`);
+    this.name = 'ForecastRequestError';
+    this.status = status;
+    this.body = body;
+    this.serverMessage = parseErrorMessage(body);
+  }
+}
+
+// Raised when the request never got a response (offline, DNS, connection reset).
+export class ForecastNetworkError extends Error {
+  constructor(cause) {
+    super('Could not reach the forecast service');
+    this.name = 'ForecastNetworkError';
+    this.cause = cause;
+  }
+}
+
+function roundCoordinate(value) {
+  return Number(value).toFixed(4); // Same precision the server stores
+}
+
+// Cache key for a request payload ({ place_id, lat, lng, address }).
+export function forecastKey({ place_id, lat, lng, address } = {}) {
+  if (place_id) return `place:${place_id}`;
+  if (lat !== undefined && lat !== null && lng !== undefined && lng !== null) {
+    return `coords:${roundCoordinate(lat)},${roundCoordinate(lng)}`;
+  }
+  if (address) return `address:${address.trim().toLowerCase()}`;
+  return null;
+}
+
+// Cache key for a stored forecast item ({ placeId, forecastData }).
+export function forecastItemKey(item) {
+  if (!item || !item.forecastData) return null;
+  const data = item.forecastData;
+  return forecastKey({ place_id: item.placeId || data.google_place_id, lat: data.latitude, lng: data.longitude });
+}
+
+export class ForecastClient {
+  // `transport(payload, signal)` performs one request; defaults to postForecast.
+  // `batchTransport(payloads)` performs a batch request; defaults to postForecastBatch.
+  constructor({ freshnessMs = FORECAST_FRESHNESS_MS, transport = postForecast, batchTransport = postForecastBatch } = {}) {
+    this.freshnessMs = freshnessMs;
+    this.transport = transport;
+    this.batchTransport = batchTransport;
+    this.cache = new Map();    // key -> { data, timestamp }
+    this.inFlight = new Map(); // key -> { promise, controller }
+    this.latestKey = null;
+  }
+
+  // Adds an already-fetched forecast (e.g. restored history) to the cache.
+  remember(key, data, timestamp) {
+    if (!key || !data) return;
+    const existing = this.cache.get(key);
+    if (!existing || existing.timestamp < timestamp) this.cache.set(key, { data, timestamp });
+  }
+
+  cached(key) {
+    const entry = this.cache.get(key);
+    if (!entry) return null;
+    if (Date.now() - entry.timestamp >= this.freshnessMs) {
+      this.cache.delete(key);
+      return null;
+    }
+    return entry;
+  }
+
+  // Resolves to { key, data, timestamp, fromCache, offline }; `offline` forecasts are
+  // the last-known ones the service worker answered with, `timestamp` when they were
+  // fetched. Starting a lookup for a different key aborts the previous in-flight one,
+  // whose promise rejects with an AbortError. `background` requests (auto-refresh)
+  // neither abort nor count as that lookup.
+  request(payload, { background = false } = {}) {
+    const key = forecastKey(payload);
+    if (!background) this._supersede(key);
+
+    const entry = this.cached(key);
+    if (entry) return Promise.resolve({ key, ...entry, fromCache: true });
+
+    const pending = this.inFlight.get(key);
+    if (pending) return pending.promise;
+
+    const controller = new AbortController();
+    const promise = this._post(payload, controller.signal)
+      .then(data => {
+        const offlineAt = offlineFetchedAt(data);
+        const timestamp = offlineAt || Date.now();
+        this.remember(key, data, timestamp);
+        return { key, data, timestamp, fromCache: false, offline: !!offlineAt };
+      })
+      .finally(() => {
+        if (this.inFlight.get(key)?.controller === controller) this.inFlight.delete(key);
+      });
+
+    this.inFlight.set(key, { promise, controller });
+    return promise;
+  }
+
+  // Looks up several places at once, answering from the cache where possible and
+  // sending the rest in batches of MAX_BATCH_SIZE. Resolves to one result per payload,
+  // in order: { key, data, timestamp, fromCache, offline } as for request(), or { key, error } with a
+  // ForecastRequestError for lookups the server could not answer. Rejects only when a
+  // whole batch fails. Batches are not coalesced with or superseded by single lookups.
+  async requestMany(payloads) {
+    const results = payloads.map(payload => {
+      const key = forecastKey(payload);
+      const entry = this.cached(key);
+      return entry ? { key, ...entry, fromCache: true } : null;
+    });
+
+    const pending = results.map((result, index) => (result ? null : index)).filter(index => index !== null);
+    for (let start = 0; start < pending.length; start += MAX_BATCH_SIZE) {
+      const indexes = pending.slice(start, start + MAX_BATCH_SIZE);
+      const responses = await this.batchTransport(indexes.map(index => payloads[index]));
+      const timestamp = Date.now();
+      indexes.forEach((index, position) => {
+        const key = forecastKey(payloads[index]);
+        const response = responses[position];
+        if (!response || response.error) {
+          const status = (response && response.status) || 500;
+          results[index] = { key, error: new ForecastRequestError(status, JSON.stringify({ error: response && response.error })) };
+          return;
+        }
+        const offlineAt = offlineFetchedAt(response);
+        this.remember(key, response, offlineAt || timestamp);
+        results[index] = { key, data: response, timestamp: offlineAt || timestamp, fromCache: false, offline: !!offlineAt };
+      });
+    }
+    return results;
+  }
+
+  // Aborts every in-flight request, e.g. when the controller disconnects.
+  abortAll() {
+    this.inFlight.forEach(({ controller }) => controller.abort());
+    this.inFlight.clear();
+    this.latestKey = null;
+  }
+
+  _supersede(key) {
+    if (this.latestKey !== null && this.latestKey !== key) {
+      const previous = this.inFlight.get(this.latestKey);
+      if (previous) {
+        previous.controller.abort();
+        this.inFlight.delete(this.latestKey);
+      }
+    }
+    this.latestKey = key;
+  }
+
+  _post(payload, signal) {
+    return this.transport(payload, signal);
+  }
+}
+
+async function postJson(url, body, signal) {
+  let response;
+  try {
+    response = await fetch(url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'X-CSRF-Token': document.querySelector('meta[name="csrf-token"]').content
+      },
+      body: JSON.stringify(body),
+      signal
+    });
+  } catch (error) {
+    if (error.name === 'AbortError') throw error;
+    throw new ForecastNetworkError(error);
+  }
+
+  if (!response.ok) throw new ForecastRequestError(response.status, await response.text());
+  return response;
+}
+
+function markOffline(forecast, cachedAt) {
+  const time = Date.parse(cachedAt);
+  if (forecast && typeof forecast === 'object' && Number.isFinite(time)) offlineFetchTimes.set(forecast, time);
+  return forecast;
+}
+
+// When the service worker fetched `forecast`, if it answered with a last-known
+// forecast because the network failed; null for forecasts fresh from the server.
+export function offlineFetchedAt(forecast) {
+  return (forecast && offlineFetchTimes.get(forecast)) || null;
+}
+
+// POSTs one lookup and resolves to the parsed forecast. Rejects with a
+// ForecastRequestError, a ForecastNetworkError, or an AbortError when `signal` aborts.
+export async function postForecast(payload, signal) {
+  const response = await postJson('/api/v1/forecasts', payload, signal);
+  return markOffline(await response.json(), response.headers.get(CACHED_AT_HEADER));
+}
+
+// POSTs up to MAX_BATCH_SIZE lookups to /api/v1/forecasts/batch and resolves to one
+// entry per lookup: the forecast, or { error, status }. Rejects like postForecast.
+export async function postForecastBatch(payloads, signal) {
+  const response = await postJson('/api/v1/forecasts/batch', { lookups: payloads }, signal);
+  const { forecasts, cached_at: cachedAt = [] } = await response.json();
+  return forecasts.map((forecast, index) => markOffline(forecast, cachedAt[index]));
+}
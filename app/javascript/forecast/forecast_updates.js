@@ -0,0 +1,102 @@
+// Live forecast updates over Action Cable (ForecastChannel). The server broadcasts a
+// place's forecast whenever it fetches one, so a lookup in any tab, by anyone, shows
+// up in every other page showing that place.
+//
+// The page shares one subscription. Each watcher says which places it shows, by their
+// forecastKey(), and the subscription follows all of them. Broadcasts are handed to
+// the watchers showing that place. Nothing connects while fake forecasts are enabled,
+// since the server never fetches them.
+
+import { createConsumer } from "@rails/actioncable";
+import { fakeServiceEnabled } from "forecast/fakes";
+import { createLogger } from "forecast/logger";
+
+const CHANNEL = 'ForecastChannel';
+const FOLLOWABLE_KEY = /^(place|coords):/; // Address keys only exist in the browser
+const log = createLogger('Forecast Updates');
+const watchers = new Set();
+let consumer = null;
+let subscription = null;
+let followed = null; // Keys last sent to the server, joined; null until connected
+
+function followedKeys() {
+  const keys = new Set();
+  watchers.forEach(watcher => watcher.keys.forEach(key => keys.add(key)));
+  return [...keys].sort();
+}
+
+function sync() {
+  if (!subscription || followed === null) return; // connected() follows everything
+  const keys = followedKeys();
+  if (keys.join(' ') === followed) return;
+  followed = keys.join(' ');
+  subscription.perform('follow', { keys });
+}
+
+function deliver(message) {
+  if (!message || typeof message.key !== 'string' || !message.forecast || !message.forecast.forecast) {
+    log.warn('Ignoring malformed forecast update.', message);
+    return;
+  }
+  const timestamp = Date.now(); // Client time, like the timestamps of forecasts it requested
+  log.debug('Received forecast update.', { key: message.key, fetchedAt: message.fetched_at });
+  watchers.forEach(watcher => {
+    if (watcher.keys.includes(message.key)) watcher.onUpdate(message.key, message.forecast, timestamp);
+  });
+}
+
+function connect() {
+  if (subscription || fakeServiceEnabled('forecasts')) return;
+  try {
+    consumer = consumer || createConsumer();
+    subscription = consumer.subscriptions.create({ channel: CHANNEL }, {
+      connected() {
+        followed = ''; // A new connection follows nothing yet
+        sync();
+      },
+      disconnected() {
+        followed = null;
+      },
+      received: deliver
+    });
+  } catch (error) {
+    log.warn('Live forecast updates are unavailable.', error);
+  }
+}
+
+function disconnect() {
+  if (subscription) subscription.unsubscribe();
+  if (consumer) consumer.disconnect();
+  consumer = null;
+  subscription = null;
+  followed = null;
+}
+
+// Whether two POST /api/v1/forecasts responses hold the same forecast. A broadcast
+// of the lookup a page just made does, and needs no update.
+export function sameForecast(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+// Registers `onUpdate(key, data, timestamp)` for forecasts of the places passed to
+// `follow(keys)`; `data` is the POST /api/v1/forecasts response body. Call `stop()`
+// when the places are no longer shown.
+export function watchForecasts(onUpdate) {
+  const watcher = { keys: [], onUpdate };
+  return {
+    follow(keys) {
+      watcher.keys = keys.filter(key => typeof key === 'string' && FOLLOWABLE_KEY.test(key));
+      watchers.add(watcher);
+      connect();
+      sync();
+    },
+    stop() {
+      watchers.delete(watcher);
+      if (watchers.size === 0) {
+        disconnect();
+      } else {
+        sync();
+      }
+    }
+  };
+}
@@ -0,0 +1,108 @@
+// Export of stored forecasts ({ placeId, forecastData, timestamp }) as CSV or JSON,
+// and import of the JSON format back into forecast items.
+//
+// CSV has one row per forecast: address, coordinates, place ID, fetch time and
+// then every field of `forecast.current`. JSON keeps each full API response so an
+// import can rebuild the cards exactly:
+//
+//   { "format": "forecast-history", "version": 1, "exported_at": "…",
+//     "forecasts": [{ "place_id": "…", "fetched_at": "…", "data": { …response… } }] }
+
+import { newForecastItemId } from "forecast/history_store";
+
+const FORMAT = 'forecast-history';
+const VERSION = 1;
+const LOCATION_COLUMNS = ['address', 'latitude', 'longitude', 'google_place_id', 'fetched_at'];
+
+// Raised when a file can't be imported; `reason` is 'unreadable' or 'unrecognized'.
+export class ForecastImportError extends Error {
+  constructor(reason, cause) {
+    super(`Cannot import forecasts: ${reason}`);
+    this.name = 'ForecastImportError';
+    this.reason = reason;
+    this.cause = cause;
+  }
+}
+
+function currentOf(item) {
+  const forecast = item.forecastData && item.forecastData.forecast;
+  return (forecast && forecast.current) || {};
+}
+
+// Quotes a CSV field when needed (RFC 4180). Text starting with a formula character
+// gets a leading apostrophe so spreadsheets don't evaluate it; plain numbers such as
+// the API's "-74.006" coordinates are left as they are.
+function csvField(value) {
+  if (value === undefined || value === null) return '';
+  let text = String(value);
+  if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text) && !/^-\d+(\.\d+)?$/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+export function forecastsToCsv(items) {
+  const currentColumns = [];
+  items.forEach(item => Object.keys(currentOf(item)).forEach(field => {
+    if (!currentColumns.includes(field)) currentColumns.push(field);
+  }));
+
+  const rows = items.map(item => {
+    const data = item.forecastData || {};
+    const current = currentOf(item);
+    return [
+      data.address, data.latitude, data.longitude, item.placeId || data.google_place_id,
+      new Date(item.timestamp).toISOString(),
+      ...currentColumns.map(field => current[field])
+    ];
+  });
+  return [[...LOCATION_COLUMNS, ...currentColumns], ...rows].map(row => row.map(csvField).join(',')).join('\r\n') + '\r\n';
+}
+
+export function forecastsToJson(items) {
+  return JSON.stringify({
+    format: FORMAT,
+    version: VERSION,
+    exported_at: new Date().toISOString(),
+    forecasts: items.map(item => ({
+      place_id: item.placeId || null,
+      fetched_at: new Date(item.timestamp).toISOString(),
+      data: item.forecastData
+    }))
+  }, null, 2);
+}
+
+// Returns { items, skipped } from the text of a JSON export: forecast items, newest
+// first, and the number of entries that were malformed or fetched in the future (which
+// would never go stale). Throws ForecastImportError.
+export function forecastsFromJson(text) {
+  let parsed;
+  try {
+    parsed = JSON.parse(text);
+  } catch (error) {
+    throw new ForecastImportError('unreadable', error);
+  }
+  if (!parsed || parsed.format !== FORMAT || parsed.version !== VERSION || !Array.isArray(parsed.forecasts)) {
+    throw new ForecastImportError('unrecognized');
+  }
+
+  const items = [];
+  const now = Date.now();
+  parsed.forecasts.forEach(entry => {
+    const timestamp = entry && Date.parse(entry.fetched_at);
+    const data = entry && entry.data;
+    if (!Number.isFinite(timestamp) || timestamp > now || !data || typeof data !== 'object' || !data.forecast) return;
+    items.push({ id: newForecastItemId(), placeId: entry.place_id || null, forecastData: data, timestamp });
+  });
+  return { items: items.sort((a, b) => b.timestamp - a.timestamp), skipped: parsed.forecasts.length - items.length };
+}
+
+// Offers `contents` to the user as a file download.
+export function downloadFile(filename, contents, type) {
+  const url = URL.createObjectURL(new Blob([contents], { type }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
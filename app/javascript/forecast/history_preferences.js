@@ -0,0 +1,78 @@
+// Preferences for the forecast history list: its sort order, and how old and how
+// many past forecasts may get before they are pruned. Stored per browser; the
+// filter text is deliberately not remembered.
+
+import { getLocale } from "forecast/i18n";
+import { createLogger } from "forecast/logger";
+
+const STORAGE_KEY = "forecast:history-preferences";
+export const HISTORY_SORTS = ['time', 'temperature', 'name'];
+export const MAX_AGE_CHOICES_MINUTES = [15, 30, 60, 180, 720, 1440];
+export const MAX_COUNT_LIMIT = 100;
+export const DEFAULT_HISTORY_PREFERENCES = { sort: 'time', maxAgeMinutes: 30, maxCount: 25 };
+const log = createLogger('Forecast History');
+
+function validCount(value) {
+  return Number.isInteger(value) && value >= 1 && value <= MAX_COUNT_LIMIT;
+}
+
+// Replaces anything missing or out of range with its value in `defaults`.
+function normalize(preferences = {}, defaults = DEFAULT_HISTORY_PREFERENCES) {
+  return {
+    sort: HISTORY_SORTS.includes(preferences.sort) ? preferences.sort : defaults.sort,
+    maxAgeMinutes: MAX_AGE_CHOICES_MINUTES.includes(preferences.maxAgeMinutes) ? preferences.maxAgeMinutes : defaults.maxAgeMinutes,
+    maxCount: validCount(preferences.maxCount) ? preferences.maxCount : defaults.maxCount
+  };
+}
+
+export function getHistoryPreferences() {
+  try {
+    return normalize(JSON.parse(window.localStorage.getItem(STORAGE_KEY)) || {});
+  } catch (error) {
+    return normalize();
+  }
+}
+
+// Merges `changes` into the stored preferences and returns the result. Invalid
+// changes leave the stored value as it was.
+export function setHistoryPreferences(changes) {
+  const stored = getHistoryPreferences();
+  const preferences = normalize({ ...stored, ...changes }, stored);
+  try {
+    window.localStorage.setItem(STORAGE_KEY, JSON.stringify(preferences));
+  } catch (error) {
+    log.warn('Could not persist history preferences.', error);
+  }
+  return preferences;
+}
+
+function temperatureOf(item) {
+  const current = item.forecastData && item.forecastData.forecast && item.forecastData.forecast.current;
+  return current && typeof current.temp_f === 'number' ? current.temp_f : null;
+}
+
+function addressOf(item) {
+  return (item.forecastData && item.forecastData.address) || '';
+}
+
+const COMPARATORS = {
+  time: (a, b) => b.timestamp - a.timestamp, // Newest first
+  temperature: (a, b) => { // Warmest first, unknown temperatures last
+    const tempA = temperatureOf(a);
+    const tempB = temperatureOf(b);
+    if (tempA === null || tempB === null) return (tempA === null) - (tempB === null);
+    return tempB - tempA;
+  },
+  name: (a, b) => addressOf(a).localeCompare(addressOf(b), getLocale(), { sensitivity: 'base' })
+};
+
+// A sorted copy of `items`. Ties keep their existing order.
+export function sortHistoryItems(items, sort) {
+  return [...items].sort(COMPARATORS[sort] || COMPARATORS.time);
+}
+
+// Case-insensitive substring match on the forecast's address; a blank query matches everything.
+export function historyItemMatches(item, query) {
+  const normalized = (query || '').trim().toLocaleLowerCase(getLocale());
+  return !normalized || addressOf(item).toLocaleLowerCase(getLocale()).includes(normalized);
+}
@@ -0,0 +1,93 @@
+// Persists the current forecast and the forecast history in localStorage so a
+// reload or Turbo navigation doesn't wipe recent lookups. localStorage also
+// fires `storage` events in every other tab on the same origin, which is what
+// keeps open tabs in sync.
+
+import { createLogger } from "forecast/logger";
+
+const STORAGE_KEY = "forecasts:v1";
+const log = createLogger('Forecast Store');
+let createdItems = 0;
+
+// A unique id for a new forecast item, stored with it. Two items can hold the same
+// reading (same place, same fetch time), so the page tells them apart by id.
+export function newForecastItemId() {
+  createdItems += 1;
+  return `${Date.now().toString(36)}-${createdItems.toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+}
+
+// Strips runtime-only properties (e.g. domElement) before serialising. `imported`
+// marks forecasts added from an export file, which don't expire; `offline` marks
+// last-known forecasts the service worker answered with while offline.
+function serializeItem(item) {
+  if (!item) return null;
+  const { id, placeId, forecastData, timestamp, imported, offline } = item;
+  const serialized = { id, placeId, forecastData, timestamp };
+  if (imported) serialized.imported = true;
+  if (offline) serialized.offline = true;
+  return serialized;
+}
+
+function isValidItem(item) {
+  return !!item && typeof item.timestamp === 'number' && !!item.forecastData;
+}
+
+// Items stored before ids were added get one when read.
+function withId(item) {
+  return typeof item.id === 'string' ? item : { ...item, id: newForecastItemId() };
+}
+
+function parse(raw) {
+  if (!raw) return { current: null, history: [] };
+
+  try {
+    const stored = JSON.parse(raw);
+    return {
+      current: isValidItem(stored.current) ? withId(stored.current) : null,
+      history: Array.isArray(stored.history) ? stored.history.filter(isValidItem).map(withId) : []
+    };
+  } catch (error) {
+    log.warn('Ignoring unreadable stored forecasts.', error);
+    return { current: null, history: [] };
+  }
+}
+
+// Returns { current, history } from storage, or empty state when storage is
+// unavailable (private mode, disabled cookies) or holds nothing.
+export function loadForecasts() {
+  try {
+    return parse(window.localStorage.getItem(STORAGE_KEY));
+  } catch (error) {
+    log.warn('localStorage is unavailable.', error);
+    return { current: null, history: [] };
+  }
+}
+
+export function saveForecasts({ current, history }) {
+  const payload = JSON.stringify({
+    current: serializeItem(current),
+    history: history.map(serializeItem)
+  });
+
+  try {
+    // Skip no-op writes so other tabs don't receive a storage event for nothing.
+    if (window.localStorage.getItem(STORAGE_KEY) === payload) return;
+    window.localStorage.setItem(STORAGE_KEY, payload);
+  } catch (error) {
+    log.warn('Could not persist forecasts.', error);
+  }
+}
+
+// Calls `callback({ current, history })` whenever another tab changes the
+// stored forecasts. Returns a function that removes the listener.
+export function subscribeToForecasts(callback) {
+  const listener = (event) => {
+    if (event.storageArea !== window.localStorage) return;
+    // A null key means localStorage.clear() was called in another tab.
+    if (event.key !== STORAGE_KEY && event.key !== null) return;
+    callback(parse(event.newValue));
+  };
+
+  window.addEventListener('storage', listener);
+  return () => window.removeEventListener('storage', listener);
+}
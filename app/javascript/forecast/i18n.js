@@ -0,0 +1,127 @@
+// Translations and locale-aware formatting for the forecast UI.
+//
+// Strings come from the `forecast` section of config/locales/*.yml, which the
+// layout embeds as JSON in <script id="forecast-translations"> keyed by locale.
+// The language is the user's saved preference, else the page's <html lang>, else
+// the browser's. Numbers, times and relative times are formatted in that
+// language even when config/locales has no strings for it; strings then fall
+// back to English. The language setting (language_controller) saves the user's
+// preference.
+
+import { createLogger } from "forecast/logger";
+
+const STORAGE_KEY = "forecast:locale";
+const FALLBACK_LOCALE = 'en';
+const log = createLogger('Forecast I18n');
+
+let bundles = null;
+
+function loadBundles() {
+  if (bundles) return bundles;
+  try {
+    const script = document.getElementById('forecast-translations');
+    bundles = script ? JSON.parse(script.textContent) : {};
+  } catch (error) {
+    log.warn('Could not read translations.', error);
+    bundles = {};
+  }
+  return bundles;
+}
+
+function isSupportedLocale(locale) {
+  try {
+    return Intl.DateTimeFormat.supportedLocalesOf([locale]).length > 0;
+  } catch (error) {
+    return false; // Malformed language tag
+  }
+}
+
+// The user's saved language, or null when they follow the page.
+export function getSavedLocale() {
+  try {
+    const stored = window.localStorage.getItem(STORAGE_KEY);
+    return stored && isSupportedLocale(stored) ? stored : null;
+  } catch (error) {
+    return null; // Storage unavailable; use the page language
+  }
+}
+
+export function getLocale() {
+  const candidates = [getSavedLocale(), document.documentElement.lang, navigator.language];
+  return candidates.find(locale => locale && isSupportedLocale(locale)) || FALLBACK_LOCALE;
+}
+
+// Locales with translations in config/locales, e.g. ['en'].
+export function translatedLocales() {
+  return Object.keys(loadBundles());
+}
+
+// Saves the user's language, or clears it with null to follow the page again.
+// Callers re-render and dispatch their own change event, as with units.
+export function setLocale(locale) {
+  try {
+    if (locale) {
+      if (!isSupportedLocale(locale)) return;
+      window.localStorage.setItem(STORAGE_KEY, locale);
+    } else {
+      window.localStorage.removeItem(STORAGE_KEY);
+    }
+  } catch (error) {
+    log.warn('Could not persist language preference.', error);
+  }
+}
+
+function lookup(bundle, key) {
+  return key.split('.').reduce((node, part) => (node && typeof node === 'object' ? node[part] : undefined), bundle);
+}
+
+// Translates a dotted key below `forecast`, e.g. t('card.feels_like', { temperature: '60°F' }).
+// Interpolates Rails-style %{name} placeholders. Missing keys return the key itself.
+export function t(key, values = {}) {
+  const locale = getLocale();
+  const available = loadBundles();
+  const candidates = [locale, locale.split('-')[0], FALLBACK_LOCALE];
+  let template;
+  for (const candidate of candidates) {
+    template = lookup(available[candidate], key);
+    if (typeof template === 'string') break;
+  }
+  if (typeof template !== 'string') return key;
+  return template.replace(/%\{(\w+)\}/g, (match, name) => (name in values ? String(values[name]) : match));
+}
+
+export function formatNumber(value, options = {}) {
+  return value.toLocaleString(getLocale(), options);
+}
+
+// Whole percentage (e.g. "70%") from a 0–100 value; null when missing.
+export function formatPercent(value) {
+  return typeof value === 'number' ? formatNumber(value / 100, { style: 'percent' }) : null;
+}
+
+// Time of day (e.g. "5:40 AM" or "05:40") for a Date.
+export function formatTime(date, options = {}) {
+  return date.toLocaleTimeString(getLocale(), { hour: 'numeric', minute: '2-digit', ...options });
+}
+
+export function formatDate(date, options = {}) {
+  return date.toLocaleDateString(getLocale(), options);
+}
+
+const RELATIVE_TIME_UNITS = [
+  ['day', 24 * 60 * 60],
+  ['hour', 60 * 60],
+  ['minute', 60],
+  ['second', 1]
+];
+
+// "just now", "30 seconds ago", "5 minutes ago", "3 hours ago", "yesterday"… for a
+// past timestamp in ms.
+export function formatRelativeTime(timestamp, now = Date.now()) {
+  const secondsPast = Math.max(0, (now - timestamp) / 1000);
+  if (secondsPast < 5) return t('time.just_now');
+
+  const formatter = new Intl.RelativeTimeFormat(getLocale(), { numeric: 'auto' });
+  const [unit, seconds] = RELATIVE_TIME_UNITS.find(([, unitSeconds]) => secondsPast >= unitSeconds);
+  return formatter.format(-Math.floor(secondsPast / seconds), unit);
+}
@@ -0,0 +1,36 @@
+// Maps forecast lookups to and from the page URL so a selected place can be
+// bookmarked or shared, e.g. `/?place_id=ChIJ…&lat=40.71&lng=-74.00`.
+// Lookups use the same payload shape as POST /api/v1/forecasts.
+
+const LOOKUP_PARAMS = ['place_id', 'lat', 'lng', 'address'];
+
+function parseCoordinate(value) {
+  if (value === null || value.trim() === '') return null;
+  const number = Number(value);
+  return Number.isFinite(number) ? number : null;
+}
+
+// Returns the lookup payload encoded in `url`, or null if it holds none.
+export function lookupFromUrl(url = window.location.href) {
+  const params = new URL(url, window.location.origin).searchParams;
+  const placeId = params.get('place_id');
+  const lat = parseCoordinate(params.get('lat'));
+  const lng = parseCoordinate(params.get('lng'));
+  const address = params.get('address');
+
+  if (placeId) return lat !== null && lng !== null ? { place_id: placeId, lat, lng } : { place_id: placeId };
+  if (lat !== null && lng !== null) return { lat, lng };
+  if (address && address.trim()) return { address: address.trim() };
+  return null;
+}
+
+// Returns `url` with its lookup params replaced by `lookup`'s. Other params are kept.
+export function urlForLookup(lookup, url = window.location.href) {
+  const result = new URL(url, window.location.origin);
+  LOOKUP_PARAMS.forEach(param => result.searchParams.delete(param));
+  LOOKUP_PARAMS.forEach(param => {
+    const value = lookup[param];
+    if (value !== undefined && value !== null && value !== '') result.searchParams.set(param, value);
+  });
+  return result.toString();
+}
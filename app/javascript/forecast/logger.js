@@ -0,0 +1,96 @@
+// Leveled logger for the forecast controllers, plus the lookup traces and event
+// log shown by the diagnostics overlay (debug_controller).
+//
+// Diagnostics are on when Stimulus runs with `application.debug = true` or the page
+// URL has a `debug` query flag: `?debug` logs everything, `?debug=info` (or warn,
+// error) sets the minimum level. Otherwise only warnings and errors reach the
+// console and nothing is recorded.
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const DEFAULT_LEVEL = 'warn';
+const MAX_ENTRIES = 200;
+const MAX_LOOKUPS = 25;
+
+const entries = [];         // { time, level, scope, message, data }, oldest first
+const lookups = new Map();  // lookup id -> { id, startedAt, timings, … }
+const listeners = new Set();
+
+// The minimum level being recorded, or null when diagnostics are off.
+export function debugLevel() {
+  const flag = new URL(window.location.href).searchParams.get('debug');
+  if (flag !== null) return flag in LEVELS ? flag : 'debug';
+  return window.Stimulus && window.Stimulus.debug ? 'debug' : null;
+}
+
+export function isDebugEnabled() {
+  return debugLevel() !== null;
+}
+
+function notify() {
+  listeners.forEach(listener => listener());
+}
+
+// Calls `listener` whenever an entry or lookup trace is recorded. Returns an unsubscribe function.
+export function subscribeToDiagnostics(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+// Snapshot of the recorded entries and lookup traces, newest last.
+export function diagnostics() {
+  return { entries: [...entries], lookups: [...lookups.values()] };
+}
+
+export function clearDiagnostics() {
+  entries.length = 0;
+  lookups.clear();
+  notify();
+}
+
+// Returns { debug, info, warn, error }, each taking a message and optional data.
+// Console lines are prefixed with `[scope]`, as the controllers' logs always were.
+export function createLogger(scope) {
+  const log = (level, message, data) => {
+    const enabledLevel = debugLevel();
+    if (LEVELS[level] < LEVELS[enabledLevel || DEFAULT_LEVEL]) return;
+
+    const args = data === undefined ? [`[${scope}] ${message}`] : [`[${scope}] ${message}`, data];
+    console[level](...args);
+
+    if (!enabledLevel) return;
+    entries.push({ time: Date.now(), level, scope, message, data });
+    if (entries.length > MAX_ENTRIES) entries.shift();
+    notify();
+  };
+
+  return {
+    debug: (message, data) => log('debug', message, data),
+    info: (message, data) => log('info', message, data),
+    warn: (message, data) => log('warn', message, data),
+    error: (message, data) => log('error', message, data)
+  };
+}
+
+// Merges `fields` into the trace of lookup `id`, creating it if needed; `timings`
+// ({ step: ms }) are merged rather than replaced. No-op while diagnostics are off.
+export function traceLookup(id, fields = {}) {
+  if (!isDebugEnabled()) return;
+  const trace = lookups.get(id) || { id, startedAt: Date.now(), timings: {} };
+  const { timings, ...rest } = fields;
+  Object.assign(trace, rest);
+  if (timings) Object.assign(trace.timings, timings);
+
+  lookups.set(id, trace);
+  if (lookups.size > MAX_LOOKUPS) lookups.delete(lookups.keys().next().value);
+  notify();
+}
+
+// Awaits `fn()` and records how long it took as `step` in lookup `id`'s timings.
+export async function timeLookupStep(id, step, fn) {
+  const started = performance.now();
+  try {
+    return await fn();
+  } finally {
+    traceLookup(id, { timings: { [step]: Math.round(performance.now() - started) } });
+  }
+}
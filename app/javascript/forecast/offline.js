@@ -0,0 +1,81 @@
+// Offline support: registers the service worker (ServiceWorkerController), reports
+// connectivity changes, and keeps the queue of lookups made while offline so they can
+// be replayed once the connection returns.
+//
+// The queue lives in localStorage so it survives a reload. Each entry is
+// { lookup, placeId, label }: the POST /api/v1/forecasts payload, the Google place ID
+// it was made for (if any) and what to call it in the UI. Every change dispatches
+// `offline-queue:changed` on window.
+
+import { forecastKey } from "forecast/forecast_client";
+import { createLogger } from "forecast/logger";
+
+const SERVICE_WORKER_URL = '/service-worker.js';
+const QUEUE_KEY = "forecast:offline-queue";
+const QUEUE_CHANGED_EVENT = "offline-queue:changed";
+const log = createLogger('Offline');
+
+export function registerServiceWorker() {
+  if (!('serviceWorker' in navigator)) return;
+  navigator.serviceWorker.register(SERVICE_WORKER_URL)
+    .then(registration => log.debug('Service worker registered.', { scope: registration.scope }))
+    .catch(error => log.warn('Could not register the service worker.', error));
+}
+
+export function isOffline() {
+  return navigator.onLine === false;
+}
+
+// Calls `callback(online)` whenever the browser goes online or offline. Returns a
+// function that removes the listeners.
+export function subscribeToConnectivity(callback) {
+  const online = () => callback(true);
+  const offline = () => callback(false);
+  window.addEventListener('online', online);
+  window.addEventListener('offline', offline);
+  return () => {
+    window.removeEventListener('online', online);
+    window.removeEventListener('offline', offline);
+  };
+}
+
+export function queuedLookups() {
+  try {
+    const stored = JSON.parse(window.localStorage.getItem(QUEUE_KEY));
+    return Array.isArray(stored) ? stored.filter(entry => entry && entry.lookup && typeof entry.lookup === 'object') : [];
+  } catch (error) {
+    return [];
+  }
+}
+
+function saveQueue(queue) {
+  try {
+    window.localStorage.setItem(QUEUE_KEY, JSON.stringify(queue));
+  } catch (error) {
+    log.warn('Could not persist queued lookups.', error);
+  }
+  window.dispatchEvent(new CustomEvent(QUEUE_CHANGED_EVENT, { detail: { queue } }));
+}
+
+// Queues a lookup to replay when back online. Queuing a place again moves it to the
+// end, so the replay ends on the place looked up last.
+export function queueLookup(lookup, { placeId = null, label = null } = {}) {
+  const key = forecastKey(lookup);
+  const queue = queuedLookups().filter(entry => forecastKey(entry.lookup) !== key);
+  saveQueue([...queue, { lookup, placeId, label }]);
+  log.info('Queued lookup until back online.', { key });
+}
+
+// Empties the queue and returns what was in it, oldest first.
+export function takeQueuedLookups() {
+  const queue = queuedLookups();
+  if (queue.length > 0) saveQueue([]);
+  return queue;
+}
+
+// Calls `callback(queue)` whenever the queue changes. Returns a function that removes the listener.
+export function subscribeToQueue(callback) {
+  const changed = (event) => callback(event.detail.queue);
+  window.addEventListener(QUEUE_CHANGED_EVENT, changed);
+  return () => window.removeEventListener(QUEUE_CHANGED_EVENT, changed);
+}
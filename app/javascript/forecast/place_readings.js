@@ -0,0 +1,74 @@
+// Log of the readings fetched for each place, kept in localStorage for the trend
+// sparkline (forecast/sparkline). It is separate from the forecast history, which
+// is pruned by age and replaces a reading when the place is refreshed, so the trend
+// keeps every fetch, auto-refresh and broadcast until the log is full.
+//
+// Stored as { <forecastItemKey>: [{ timestamp, temp_f, feels_like_f }, …] }, oldest
+// reading first.
+
+import { forecastItemKey } from "forecast/forecast_client";
+import { createLogger } from "forecast/logger";
+
+const STORAGE_KEY = "forecast:readings";
+const MAX_READINGS_PER_PLACE = 48;
+const MAX_PLACES = 50;
+const log = createLogger('Place Readings');
+
+function isValidReading(reading) {
+  return !!reading && typeof reading.timestamp === 'number';
+}
+
+function loadLog() {
+  try {
+    const stored = JSON.parse(window.localStorage.getItem(STORAGE_KEY));
+    if (!stored || typeof stored !== 'object' || Array.isArray(stored)) return {};
+    return Object.fromEntries(Object.entries(stored)
+      .filter(([, readings]) => Array.isArray(readings))
+      .map(([key, readings]) => [key, readings.filter(isValidReading)]));
+  } catch (error) {
+    return {};
+  }
+}
+
+function saveLog(readingsLog) {
+  try {
+    window.localStorage.setItem(STORAGE_KEY, JSON.stringify(readingsLog));
+  } catch (error) {
+    log.warn('Could not persist readings.', error);
+  }
+}
+
+// The values of one reading that are tracked over time.
+function readingOf({ forecastData, timestamp }) {
+  const forecast = forecastData && forecastData.forecast;
+  const current = (forecast && forecast.current) || {};
+  return { timestamp, temp_f: current.temp_f, feels_like_f: current.feels_like_f };
+}
+
+// Adds the reading of `item` ({ placeId, forecastData, timestamp }) to its place's log.
+// A reading already logged (same fetch time) is ignored, so cache hits and the echo
+// of a lookup's own broadcast count once. Keeps the newest MAX_READINGS_PER_PLACE
+// readings of the MAX_PLACES places read most recently.
+export function recordReading(item) {
+  const key = forecastItemKey(item);
+  if (!key || typeof item.timestamp !== 'number') return;
+
+  const readingsLog = loadLog();
+  const readings = readingsLog[key] || [];
+  if (readings.some(reading => reading.timestamp === item.timestamp)) return;
+  readingsLog[key] = [...readings, readingOf(item)]
+    .sort((a, b) => a.timestamp - b.timestamp)
+    .slice(-MAX_READINGS_PER_PLACE);
+
+  const latest = ([, placeReadings]) => placeReadings[placeReadings.length - 1].timestamp;
+  const kept = Object.entries(readingsLog)
+    .filter(([, placeReadings]) => placeReadings.length > 0)
+    .sort((a, b) => latest(b) - latest(a))
+    .slice(0, MAX_PLACES);
+  saveLog(Object.fromEntries(kept));
+}
+
+// The logged readings of the place with `key` (a forecastItemKey), oldest first.
+export function readingsFor(key) {
+  return (key && loadLog()[key]) || [];
+}
@@ -0,0 +1,121 @@
+// Place-search providers for the gmp-autocomplete controller. A provider renders
+// the search UI into a container:
+//
+//   { name, isAvailable(), async mount(container, { onAddressSearch }) -> element }
+//
+// mountPlaceSearch tries providers in order and falls back to the next one when a
+// provider is unavailable or fails to mount, so the page stays usable when Google
+// Maps is blocked or offline.
+//
+// The Google provider's selections arrive as `gmp-select` events that bubble to
+// the container; the address provider calls `onAddressSearch(address)` and expects
+// a promise resolving to true when the lookup succeeded.
+
+import { t } from "forecast/i18n";
+import { createLogger } from "forecast/logger";
+
+const log = createLogger('Place Search');
+
+// How long to wait for the Maps script before falling back.
+const GOOGLE_LOAD_TIMEOUT_MS = 8 * 1000;
+
+function withTimeout(promise, ms, message) {
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => reject(new Error(message)), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+export const googlePlacesProvider = {
+  name: 'google',
+
+  isAvailable() {
+    return !!(window.google && window.google.maps && window.google.maps.importLibrary);
+  },
+
+  async mount(container) {
+    const { PlaceAutocompleteElement } = await withTimeout(
+      window.google.maps.importLibrary("places"),
+      GOOGLE_LOAD_TIMEOUT_MS,
+      t('search.google_timeout')
+    );
+    const element = new PlaceAutocompleteElement();
+    container.replaceChildren(element);
+    return element;
+  }
+};
+
+// Free-text address search, resolved by the server's geocoder (posts `{ address }`).
+export const addressSearchProvider = {
+  name: 'address',
+
+  isAvailable() {
+    return true;
+  },
+
+  mount(container, { onAddressSearch }) {
+    const form = document.createElement('form');
+    form.className = 'flex gap-2';
+
+    const input = document.createElement('input');
+    input.type = 'search';
+    input.name = 'address';
+    input.placeholder = t('search.placeholder');
+    input.setAttribute('aria-label', t('search.address_label'));
+    input.className = 'flex-1 px-3 py-2 border border-gray-300 rounded-lg bg-gray-50 focus:outline-none focus:ring-2 focus:ring-blue-300';
+
+    const button = document.createElement('button');
+    button.type = 'submit';
+    button.textContent = t('search.submit');
+    button.className = 'px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed';
+
+    form.addEventListener('submit', async (event) => {
+      event.preventDefault();
+      const address = input.value.trim();
+      if (!address) return;
+
+      button.disabled = true;
+      try {
+        if (await onAddressSearch(address)) input.value = '';
+      } finally {
+        button.disabled = false;
+      }
+    });
+
+    form.append(input, button);
+    container.replaceChildren(form);
+    return form;
+  }
+};
+
+const providers = new Map();
+
+export function registerPlaceSearchProvider(provider) {
+  providers.set(provider.name, provider);
+}
+
+registerPlaceSearchProvider(googlePlacesProvider);
+registerPlaceSearchProvider(addressSearchProvider);
+
+// Mounts the first available provider from `names`. Returns { provider, element },
+// or null when none could be mounted.
+export async function mountPlaceSearch(container, names, callbacks) {
+  for (const name of names) {
+    const provider = providers.get(name);
+    if (!provider) {
+      log.warn(`Unknown provider "${name}".`);
+      continue;
+    }
+    if (!provider.isAvailable()) continue;
+
+    try {
+      const element = await provider.mount(container, callbacks);
+      log.info(`Mounted the "${name}" provider.`);
+      return { provider, element };
+    } catch (error) {
+      log.warn(`Provider "${name}" failed to load, trying the next one.`, error);
+    }
+  }
+  return null;
+}
@@ -0,0 +1,81 @@
+// Turns failed forecast requests into user-facing messages and decides which
+// failures are worth retrying automatically.
+//
+// The API answers errors with `{ error: "…" }` JSON: 422 for input it cannot
+// resolve, 503 when Google or OpenWeatherMap are unavailable, 500 otherwise.
+// Proxies and crashes can return HTML instead, which is never shown.
+
+import { ForecastNetworkError, ForecastRequestError } from "forecast/forecast_client";
+import { t } from "forecast/i18n";
+
+export const MAX_AUTOMATIC_RETRIES = 4;
+const RETRY_BASE_DELAY_MS = 2 * 1000;
+const RETRY_MAX_DELAY_MS = 60 * 1000;
+
+const TRANSIENT_STATUSES = [429, 502, 503, 504];
+
+// One of 'network', 'validation', 'unavailable' or 'server'.
+function errorKind(error) {
+  if (error instanceof ForecastNetworkError) return 'network';
+  if (error instanceof ForecastRequestError) {
+    if (error.status === 422 || error.status === 400) return 'validation';
+    if (TRANSIENT_STATUSES.includes(error.status)) return 'unavailable';
+  }
+  return 'server';
+}
+
+// { kind, title, message, retryable, transient }. `retryable` errors get a Retry
+// button; `transient` ones are also retried automatically.
+export function describeForecastError(error) {
+  const kind = errorKind(error);
+  const serverMessage = error instanceof ForecastRequestError ? error.serverMessage : null;
+  return {
+    kind,
+    title: t(`errors.${kind}.title`),
+    // The API's validation messages are written for users; other server messages are
+    // too technical, so those only replace the generic text for validation errors.
+    message: (kind === 'validation' && serverMessage) || t(`errors.${kind}.detail`),
+    retryable: kind !== 'validation',
+    transient: kind === 'network' || kind === 'unavailable'
+  };
+}
+
+// Exponential backoff: 2s, 4s, 8s… capped at a minute. `attempt` starts at 0.
+export function retryDelayMs(attempt) {
+  return Math.min(RETRY_BASE_DELAY_MS * 2 ** attempt, RETRY_MAX_DELAY_MS);
+}
+
+// Counts down to an automatic retry, calling onTick(secondsLeft) every second and
+// then onRetry(). Starting a new countdown or cancelling stops the previous one.
+export class RetryCountdown {
+  constructor({ onTick, onRetry }) {
+    this.onTick = onTick;
+    this.onRetry = onRetry;
+    this.timer = null;
+  }
+
+  start(delayMs) {
+    this.cancel();
+    const retryAt = Date.now() + delayMs;
+    const tick = () => {
+      const secondsLeft = Math.ceil((retryAt - Date.now()) / 1000);
+      if (secondsLeft <= 0) {
+        this.cancel();
+        this.onRetry();
+        return;
+      }
+      this.onTick(secondsLeft);
+    };
+    this.timer = setInterval(tick, 1000);
+    tick();
+  }
+
+  cancel() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  get active() {
+    return this.timer !== null;
+  }
+}
@@ -0,0 +1,132 @@
+// Inline SVG sparkline of temperature and feels-like over the readings of one place
+// (see forecast/place_readings), drawn under the current forecast. Pointing at or
+// focusing a reading shows its exact values and how long ago it was fetched.
+
+import { element } from "forecast/dom";
+import { formatRelativeTime, t } from "forecast/i18n";
+import { formatTemperature, getUnitSystem } from "forecast/units";
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+const WIDTH = 240;
+const HEIGHT = 56;
+const PADDING = 6;
+const SERIES = [
+  { name: 'temperature', field: 'temp_f', label: 'trend.temperature', color: '#f97316', swatch: 'border-orange-500' },
+  { name: 'feels-like', field: 'feels_like_f', label: 'trend.feels_like', color: '#6b7280', dash: '3 3', swatch: 'border-gray-500 border-dashed' }
+];
+
+function isNumber(value) {
+  return typeof value === 'number' && Number.isFinite(value);
+}
+
+function svgElement(tag, attributes = {}) {
+  const node = document.createElementNS(SVG_NS, tag);
+  Object.entries(attributes).forEach(([name, value]) => node.setAttribute(name, String(value)));
+  return node;
+}
+
+// Chart coordinates for the readings: x is proportional to the time of each reading
+// (evenly spaced if they share one), y spans the range of both series.
+function plot(readings) {
+  const times = readings.map(reading => reading.timestamp);
+  const values = readings.flatMap(reading => SERIES.map(series => reading[series.field])).filter(isNumber);
+  const [firstTime, lastTime] = [Math.min(...times), Math.max(...times)];
+  const [low, high] = [Math.min(...values), Math.max(...values)];
+  const span = WIDTH - 2 * PADDING;
+
+  const x = (reading, index) => PADDING + (lastTime > firstTime
+    ? (reading.timestamp - firstTime) / (lastTime - firstTime)
+    : index / (readings.length - 1)) * span;
+  const y = (value) => (high > low ? HEIGHT - PADDING - (value - low) / (high - low) * (HEIGHT - 2 * PADDING) : HEIGHT / 2);
+  return { x, y };
+}
+
+function describeReading(reading, unitSystem) {
+  return t('trend.reading', {
+    temperature: formatTemperature(reading.temp_f, unitSystem) || t('not_available'),
+    feels_like: formatTemperature(reading.feels_like_f, unitSystem) || t('not_available'),
+    time: formatRelativeTime(reading.timestamp)
+  });
+}
+
+function buildLegend() {
+  const legend = element('figcaption', 'flex items-center gap-3 text-xs text-gray-600 mb-1');
+  legend.appendChild(element('span', 'font-medium text-gray-700', t('trend.title')));
+  SERIES.forEach(series => {
+    const item = element('span', 'inline-flex items-center gap-1');
+    item.append(element('span', `inline-block w-4 border-t-2 ${series.swatch}`), document.createTextNode(t(series.label)));
+    legend.appendChild(item);
+  });
+  return legend;
+}
+
+// Builds the sparkline for `readings` (oldest first), or returns null when fewer
+// than two of them have a temperature.
+export function buildTemperatureSparkline(readings, { unitSystem = getUnitSystem() } = {}) {
+  const plotted = readings.filter(reading => isNumber(reading.temp_f));
+  if (plotted.length < 2) return null;
+  const { x, y } = plot(plotted);
+
+  const figure = element('figure', 'forecast-trend mt-3');
+  figure.appendChild(buildLegend());
+
+  const svg = svgElement('svg', { class: 'forecast-sparkline block w-full h-auto overflow-visible', viewBox: `0 0 ${WIDTH} ${HEIGHT}`, role: 'group' });
+  svg.setAttribute('aria-label', t('trend.label', {
+    count: plotted.length,
+    first: formatTemperature(plotted[0].temp_f, unitSystem),
+    last: formatTemperature(plotted[plotted.length - 1].temp_f, unitSystem)
+  }));
+  SERIES.forEach(series => {
+    const points = plotted.map((reading, index) => (isNumber(reading[series.field]) ? `${x(reading, index).toFixed(1)},${y(reading[series.field]).toFixed(1)}` : null)).filter(Boolean);
+    if (points.length < 2) return;
+    svg.appendChild(svgElement('polyline', {
+      class: `forecast-sparkline-${series.name}`,
+      points: points.join(' '),
+      fill: 'none',
+      stroke: series.color,
+      'stroke-width': 2,
+      'stroke-linejoin': 'round',
+      'stroke-linecap': 'round',
+      ...(series.dash ? { 'stroke-dasharray': series.dash } : {})
+    }));
+  });
+
+  const tooltip = element('p', 'forecast-trend-tooltip absolute bottom-full mb-1 -translate-x-1/2 whitespace-nowrap rounded bg-gray-800 px-2 py-1 text-xs text-white shadow pointer-events-none');
+  tooltip.setAttribute('aria-hidden', 'true'); // Points carry the same text as their label
+  tooltip.hidden = true;
+
+  const hide = () => {
+    tooltip.hidden = true;
+  };
+  plotted.forEach((reading, index) => {
+    const cx = x(reading, index);
+    const point = svgElement('g', { class: 'forecast-sparkline-point cursor-pointer focus:outline-none', tabindex: 0, role: 'img' });
+    point.appendChild(svgElement('circle', { cx, cy: y(reading.temp_f), r: 8, fill: 'transparent' })); // Easier to point at
+    SERIES.forEach(series => {
+      if (!isNumber(reading[series.field])) return;
+      point.appendChild(svgElement('circle', { cx, cy: y(reading[series.field]), r: 2.5, fill: series.color }));
+    });
+
+    const show = () => {
+      const text = describeReading(reading, unitSystem); // Computed now so the relative time is current
+      point.setAttribute('aria-label', text);
+      tooltip.textContent = text;
+      tooltip.style.left = `${(cx / WIDTH) * 100}%`;
+      tooltip.hidden = false;
+    };
+    point.setAttribute('aria-label', describeReading(reading, unitSystem));
+    point.addEventListener('mouseenter', show);
+    point.addEventListener('focus', show);
+    point.addEventListener('mouseleave', hide);
+    point.addEventListener('blur', hide);
+    point.addEventListener('keydown', (event) => {
+      if (event.key === 'Escape') hide();
+    });
+    svg.appendChild(point);
+  });
+
+  const chart = element('div', 'relative inline-block w-full max-w-xs');
+  chart.append(svg, tooltip);
+  figure.appendChild(chart);
+  return figure;
+}
@@ -0,0 +1,52 @@
+// Unit system preference (imperial/metric) and the conversions used when
+// displaying forecasts. The API always returns imperial temperatures and wind
+// speeds (units=imperial) and pressure in hPa, so conversion happens here.
+
+import { formatNumber as formatLocaleNumber } from "forecast/i18n";
+import { createLogger } from "forecast/logger";
+
+const STORAGE_KEY = "forecast:units";
+export const UNIT_SYSTEMS = ['imperial', 'metric'];
+export const DEFAULT_UNIT_SYSTEM = 'imperial';
+const log = createLogger('Forecast Units');
+
+export function getUnitSystem() {
+  try {
+    const stored = window.localStorage.getItem(STORAGE_KEY);
+    return UNIT_SYSTEMS.includes(stored) ? stored : DEFAULT_UNIT_SYSTEM;
+  } catch (error) {
+    return DEFAULT_UNIT_SYSTEM;
+  }
+}
+
+export function setUnitSystem(system) {
+  if (!UNIT_SYSTEMS.includes(system)) return;
+  try {
+    window.localStorage.setItem(STORAGE_KEY, system);
+  } catch (error) {
+    log.warn('Could not persist unit preference.', error);
+  }
+}
+
+function formatNumber(value, maximumFractionDigits) {
+  return formatLocaleNumber(value, { maximumFractionDigits });
+}
+
+// Each formatter returns null when the value is missing so callers can pick their own placeholder.
+export function formatTemperature(fahrenheit, system = getUnitSystem(), { maximumFractionDigits = 1 } = {}) {
+  if (typeof fahrenheit !== 'number') return null;
+  if (system === 'metric') return `${formatNumber((fahrenheit - 32) * 5 / 9, maximumFractionDigits)}°C`;
+  return `${formatNumber(fahrenheit, maximumFractionDigits)}°F`;
+}
+
+export function formatWindSpeed(mph, system = getUnitSystem()) {
+  if (typeof mph !== 'number') return null;
+  if (system === 'metric') return `${formatNumber(mph * 1.609344, 1)} km/h`;
+  return `${formatNumber(mph, 1)} mph`;
+}
+
+export function formatPressure(hpa, system = getUnitSystem()) {
+  if (typeof hpa !== 'number') return null;
+  if (system === 'metric') return `${formatNumber(hpa, 0)} hPa`;
+  return `${formatNumber(hpa * 0.0295300, 2)} inHg`;
+}
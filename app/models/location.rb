@@ -39,6 +39,39 @@ class Location < ApplicationRecord
     find_or_create_by(address: address)
   end
 
+  # Finds or creates a location for a pair of coordinates, e.g. from the browser Geolocation API.
+  # Coordinates are rounded to 4 decimal places (about 11 m) so nearby lookups share a record.
+  # New records get a display address from reverse geocoding, falling back to the coordinates.
+  # @param latitude [Float] The latitude.
+  # @param longitude [Float] The longitude.
+  # @return [Location] The found or newly created location record.
+  # @raise [ActiveRecord::RecordInvalid] If the new record cannot be saved.
+  def self.find_or_create_by_coordinates(latitude, longitude)
+    latitude = latitude.to_f.round(4)
+    longitude = longitude.to_f.round(4)
+    location = find_or_initialize_by(latitude: latitude, longitude: longitude)
+    return location if location.persisted?
+
+    location.address = reverse_geocode(latitude, longitude) || format('%.4f, %.4f', latitude, longitude)
+    location.skip_geocoding = true
+    location.save!
+    location
+  end
+
+  # Looks up a display address for coordinates using the Geocoder gem.
+  # Uses a fixed address in the test environment.
+  # @param latitude [Float] The latitude.
+  # @param longitude [Float] The longitude.
+  # @return [String, nil] The address, or nil if none was found or the service failed.
+  def self.reverse_geocode(latitude, longitude)
+    return 'New York, NY, USA' if Rails.env.test?
+
+    Geocoder.search([latitude, longitude]).first&.address
+  rescue StandardError => e
+    Rails.logger.error "Geocoder service error reverse geocoding (#{latitude}, #{longitude}): #{e.message}"
+    nil
+  end
+
   # Instance Methods
 
   # Checks if the cached forecast data is older than 30 minutes.
@@ -72,6 +105,19 @@ class Location < ApplicationRecord
     )
   end
 
+  # The body POST /api/v1/forecasts responds with, also broadcast on ForecastChannel.
+  # @param forecast [Hash] The forecast data to include; defaults to the cached forecast.
+  # @return [Hash]
+  def forecast_response(forecast = forecast_data)
+    {
+      google_place_id: google_place_id,
+      address: address,
+      latitude: latitude,
+      longitude: longitude,
+      forecast: forecast
+    }
+  end
+
   # Accessor for forecast_data that ensures keys are symbols and dates are parsed.
   # Overrides the default ActiveRecord reader for the `forecast_data` JSON column.
   # @return [Hash, nil] The processed forecast data hash, or nil if no data.
@@ -6,6 +6,11 @@ class WeatherForecastService
   # Custom error class for forecast-related issues.
   class ForecastError < StandardError; end
 
+  # OpenWeatherMap endpoint for current conditions.
+  CURRENT_WEATHER_URL = 'https://api.openweathermap.org/data/2.5/weather'
+  # OpenWeatherMap endpoint for the 5 day / 3 hour forecast.
+  FORECAST_URL = 'https://api.openweathermap.org/data/2.5/forecast'
+
   # Initializes the service with a Location object.
   # Reads the OpenWeatherMap API key from environment variables.
   # @param location [Location] The location object containing latitude and longitude.
@@ -17,9 +22,11 @@ class WeatherForecastService
     raise ForecastError, 'OpenWeatherMap API key (OPENWEATHER_API_KEY) is not configured in environment variables.' unless @api_key
   end
 
-  # Fetches the current weather from OpenWeatherMap API using the location's coordinates.
-  # If successful, it parses the response, formats it, and updates the associated
-  # Location record with the new forecast data and timestamp.
+  # Fetches the current weather and the 5 day / 3 hour forecast from OpenWeatherMap API
+  # using the location's coordinates. If successful, it parses the responses, formats them,
+  # and updates the associated Location record with the new forecast data and timestamp.
+  # A failed extended forecast request is logged and yields an empty `forecast` array
+  # rather than failing the whole lookup. The new forecast is broadcast on ForecastChannel.
   # @return [Hash] The formatted forecast data that was saved to the location.
   # @raise [ForecastError] If the API request fails (HTTP error, connection error, API key issue, or bad response).
   def fetch_forecast
@@ -30,13 +37,8 @@ class WeatherForecastService
     Rails.logger.info "Fetching OpenWeatherMap forecast for coordinates: #{@location.latitude},#{@location.longitude}"
 
     response = HTTParty.get(
-      'https://api.openweathermap.org/data/2.5/weather', # Current weather endpoint
-      query: {
-        appid: @api_key,
-        lat: @location.latitude,
-        lon: @location.longitude,
-        units: 'imperial' # Request Fahrenheit, mph, etc.
-      },
+      CURRENT_WEATHER_URL,
+      query: request_query,
       timeout: 10 # Add a reasonable timeout
     )
 
@@ -48,7 +50,7 @@ class WeatherForecastService
       data = response.parsed_response.deep_symbolize_keys
       Rails.logger.info 'Successfully parsed OpenWeatherMap API response'
 
-      formatted_data = format_forecast(data)
+      formatted_data = format_forecast(data, fetch_extended_forecast)
 
       Rails.logger.info "Updating location ID #{@location.id} with new forecast data."
       # Use update! to raise an error if validation fails
@@ -57,6 +59,7 @@ class WeatherForecastService
         last_forecast_at: Time.current
       )
       Rails.logger.info "Location ID #{@location.id} forecast data updated successfully."
+      ForecastChannel.broadcast_forecast(@location, formatted_data) # Live updates for pages showing this place
       formatted_data # Return the data that was saved
     else
       # Handle API errors reported in the response body
@@ -83,12 +86,39 @@ class WeatherForecastService
 
   private
 
+  # Query parameters shared by the OpenWeatherMap requests.
+  # @return [Hash]
+  def request_query
+    {
+      appid: @api_key,
+      lat: @location.latitude,
+      lon: @location.longitude,
+      units: 'imperial' # Request Fahrenheit, mph, etc.
+    }
+  end
+
+  # Fetches the 5 day / 3 hour forecast for the location.
+  # Errors are logged and swallowed so current conditions can still be returned.
+  # @return [Hash, nil] The symbolized response body, or nil if the request failed.
+  def fetch_extended_forecast
+    response = HTTParty.get(FORECAST_URL, query: request_query, timeout: 10)
+    Rails.logger.info "OpenWeatherMap forecast API response status: #{response.code}"
+    return response.parsed_response.deep_symbolize_keys if response.success? && response.parsed_response.is_a?(Hash)
+
+    Rails.logger.warn "OpenWeatherMap forecast API error: #{response.code}. Continuing without extended forecast."
+    nil
+  rescue HTTParty::Error, Timeout::Error, SocketError => e
+    Rails.logger.warn "HTTP/Network error fetching extended forecast: #{e.class} - #{e.message}. Continuing without it."
+    nil
+  end
+
   # Formats the raw data from the OpenWeatherMap API into a structured hash.
-  # Extracts current weather conditions, temperature, etc.
-  # Note: The /weather endpoint only provides current conditions, not a multi-day forecast.
-  # @param data [Hash] The symbolized hash parsed from the OpenWeatherMap JSON response.
-  # @return [Hash] A structured hash containing `{ current: { ... }, forecast: [] }`.
-  def format_forecast(data)
+  # Extracts current weather conditions, temperature, etc., plus the daily forecast
+  # built from the /forecast endpoint when available.
+  # @param data [Hash] The symbolized hash parsed from the OpenWeatherMap /weather response.
+  # @param extended_data [Hash, nil] The symbolized hash parsed from the /forecast response.
+  # @return [Hash] A structured hash containing `{ current: { ... }, forecast: [ { ... }, ... ] }`.
+  def format_forecast(data, extended_data = nil)
     Rails.logger.debug 'Formatting OpenWeatherMap data'
     # Example data structure keys: :coord, :weather, :base, :main, :visibility, :wind, :clouds, :dt, :sys, :timezone, :id, :name, :cod
     current_weather = data.dig(:weather, 0) || {}
@@ -119,11 +149,67 @@ class WeatherForecastService
         country: sys_data[:country],
         sunrise_at: sys_data[:sunrise] ? Time.at(sys_data[:sunrise]).utc : nil,
         sunset_at: sys_data[:sunset] ? Time.at(sys_data[:sunset]).utc : nil,
-        observed_at: data[:dt] ? Time.at(data[:dt]).utc : nil # Data timestamp
+        observed_at: data[:dt] ? Time.at(data[:dt]).utc : nil, # Data timestamp
+        utc_offset_seconds: data[:timezone] # Location's shift from UTC, for local times
       },
-      # The /weather endpoint only provides current data.
-      # An empty array is kept here for potential future expansion using a different API endpoint.
-      forecast: []
+      forecast: format_daily_forecast(extended_data)
+    }
+  end
+
+  # Groups the 3-hourly periods of the /forecast response into days (in the location's
+  # local time) with highs/lows, the highest precipitation chance and the conditions
+  # around midday. Each day keeps its periods under `:hourly`.
+  # @param extended_data [Hash, nil] The symbolized hash parsed from the /forecast response.
+  # @return [Array<Hash>] One hash per day, or an empty array if no periods are available.
+  def format_daily_forecast(extended_data)
+    periods = extended_data&.dig(:list)
+    return [] unless periods.is_a?(Array)
+
+    utc_offset = extended_data.dig(:city, :timezone).to_i # Seconds from UTC
+    local_periods = periods.select { |period| period[:dt] }.map do |period|
+      [Time.at(period[:dt] + utc_offset).utc, period]
+    end
+
+    local_periods.group_by { |local_time, _| local_time.to_date }.map do |date, day_periods|
+      hourly = day_periods.map { |_, period| format_hourly_period(period) }
+      temps_max = day_periods.filter_map { |_, period| period.dig(:main, :temp_max) || period.dig(:main, :temp) }
+      temps_min = day_periods.filter_map { |_, period| period.dig(:main, :temp_min) || period.dig(:main, :temp) }
+      # The period closest to midday best represents the day's conditions.
+      _, midday = day_periods.min_by { |local_time, _| (local_time.hour - 12).abs }
+      midday_weather = midday.dig(:weather, 0) || {}
+
+      {
+        date: date.iso8601,
+        high_f: temps_max.max,
+        low_f: temps_min.min,
+        precipitation_chance: hourly.filter_map { |period| period[:precipitation_chance] }.max,
+        conditions: midday_weather[:description]&.titleize || midday_weather[:main],
+        condition_code: midday_weather[:id],
+        icon_code: midday_weather[:icon],
+        hourly: hourly
+      }
+    end
+  end
+
+  # Formats a single 3-hour period of the /forecast response.
+  # @param period [Hash] One entry of the response's `list` array.
+  # @return [Hash]
+  def format_hourly_period(period)
+    weather = period.dig(:weather, 0) || {}
+    main_data = period[:main] || {}
+    wind_data = period[:wind] || {}
+
+    {
+      time: Time.at(period[:dt]).utc,
+      temp_f: main_data[:temp],
+      feels_like_f: main_data[:feels_like],
+      humidity_percent: main_data[:humidity],
+      precipitation_chance: period[:pop] ? (period[:pop] * 100).round : nil, # pop is 0..1
+      conditions: weather[:description]&.titleize || weather[:main],
+      condition_code: weather[:id],
+      icon_code: weather[:icon],
+      wind_speed_mph: wind_data[:speed],
+      wind_deg: wind_data[:deg]
     }
   end
 end
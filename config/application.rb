@@ -24,6 +24,11 @@ module WeatherForecast
     # config.time_zone = "Central Time (US & Canada)"
     # config.eager_load_paths << Rails.root.join("extras")
 
+    # Offline stand-ins used by the browser instead of Google Places ("places") and
+    # POST /api/v1/forecasts ("forecasts"), e.g. FORECAST_FAKE_SERVICES="places forecasts".
+    # See app/javascript/forecast/fakes.js.
+    config.x.fake_services = ENV.fetch('FORECAST_FAKE_SERVICES', '').split(/[\s,]+/).reject(&:blank?)
+
     # Configure Content Security Policy
     config.content_security_policy do |policy|
       policy.default_src :self, :https
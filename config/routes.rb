@@ -12,10 +12,15 @@ Rails.application.routes.draw do
 
   namespace :api do
     namespace :v1 do
-      resources :forecasts, only: [:create]
+      resources :forecasts, only: [:create] do
+        post :batch, on: :collection
+      end
     end
   end
 
+  # Offline support; registered by forecast/offline.js as /service-worker.js
+  get 'service-worker' => 'service_worker#show', as: :service_worker, defaults: { format: :js }
+
   # Serve React frontend
   root 'home#index'
   get '*path', to: 'home#index', constraints: ->(request) { !request.xhr? && request.format.html? }
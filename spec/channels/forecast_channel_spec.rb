@@ -0,0 +1,142 @@
+# frozen_string_literal: true
+
+require 'rails_helper'
+
+RSpec.describe ForecastChannel do
+  let(:place_key) { 'place:ChIJOwg_06VPwokRYv534QaPC8g' }
+  let(:coords_key) { 'coords:40.7128,-74.0060' }
+
+  before { stub_connection }
+
+  describe '#subscribed' do
+    it 'streams updates for each valid key' do
+      subscribe(keys: [place_key, coords_key])
+
+      expect(subscription).to be_confirmed
+      expect(subscription).to have_stream_from("forecast:#{place_key}")
+      expect(subscription).to have_stream_from("forecast:#{coords_key}")
+    end
+
+    it 'ignores keys in an unknown format' do
+      subscribe(keys: ['address:new york', 'coords:40.7,-74.0', 42])
+
+      expect(subscription).to be_confirmed
+      expect(subscription.streams).to be_empty
+    end
+
+    it 'follows nothing without keys' do
+      subscribe
+
+      expect(subscription).to be_confirmed
+      expect(subscription.streams).to be_empty
+    end
+  end
+
+  describe '#follow' do
+    it 'replaces the streams the subscription follows' do
+      subscribe(keys: [place_key])
+      perform :follow, keys: [coords_key]
+
+      expect(subscription).not_to have_stream_from("forecast:#{place_key}")
+      expect(subscription).to have_stream_from("forecast:#{coords_key}")
+    end
+
+    it 'follows at most MAX_KEYS places' do
+      keys = Array.new(described_class::MAX_KEYS + 1) { |index| "place:place#{index}" }
+      subscribe
+      perform :follow, keys: keys
+
+      expect(subscription.streams.size).to eq(described_class::MAX_KEYS)
+    end
+  end
+
+  describe '.keys_for' do
+    it 'returns the place ID and coordinate keys' do
+      location = build_stubbed(:location, google_place_id: 'ChIJOwg_06VPwokRYv534QaPC8g', latitude: 40.7128, longitude: -74.006)
+
+      expect(described_class.keys_for(location)).to eq([place_key, coords_key])
+    end
+
+    it 'returns only the coordinate key without a place ID' do
+      location = build_stubbed(:location, google_place_id: nil, latitude: -33.868512, longitude: 151.20929)
+
+      expect(described_class.keys_for(location)).to eq(['coords:-33.8685,151.2093'])
+    end
+  end
+
+  describe '.broadcast_forecast' do
+    let(:location) do
+      build_stubbed(:location, google_place_id: 'ChIJOwg_06VPwokRYv534QaPC8g', address: 'New York, NY, USA',
+                               latitude: 40.7128, longitude: -74.006, last_forecast_at: Time.zone.parse('2025-05-12 14:00:00 UTC'))
+    end
+    let(:forecast) { { current: { temp_f: 66.25, conditions: 'Overcast Clouds' }, forecast: [] } }
+
+    it 'broadcasts the forecast to the streams for each of its keys' do
+      expect { described_class.broadcast_forecast(location, forecast) }
+        .to have_broadcasted_to("forecast:#{place_key}")
+        .with(a_hash_including('key' => place_key, 'fetched_at' => '2025-05-12T14:00:00Z'))
+        .and have_broadcasted_to("forecast:#{coords_key}")
+        .with(a_hash_including('key' => coords_key))
+    end
+
+    it 'sends the same body the forecasts API responds with' do
+      expect { described_class.broadcast_forecast(location, forecast) }
+        .to have_broadcasted_to("forecast:#{place_key}")
+        .with(a_hash_including('forecast' => a_hash_including(
+          'google_place_id' => 'ChIJOwg_06VPwokRYv534QaPC8g',
+          'address' => 'New York, NY, USA',
+          'forecast' => a_hash_including('current' => a_hash_including('temp_f' => 66.25))
+        )))
+    end
+
+    it 'logs instead of raising when broadcasting fails' do
+      allow(ActionCable.server).to receive(:broadcast).and_raise(StandardError, 'connection refused')
+      allow(Rails.logger).to receive(:error)
+
+      expect { described_class.broadcast_forecast(location, forecast) }.not_to raise_error
+      expect(Rails.logger).to have_received(:error).with(/Failed to broadcast forecast.*connection refused/)
+    end
+  end
+
+  describe 'live updates over the async adapter' do
+    let(:location) { create(:location, latitude: 40.7128, longitude: -74.0060) }
+    let(:received) { Queue.new }
+
+    around do |example|
+      original_config = ActionCable.server.config.cable
+      ActionCable.server.config.cable = { 'adapter' => 'async' }
+      ActionCable.server.restart # Drops the test adapter so the next broadcast builds an async one
+      example.run
+    ensure
+      ActionCable.server.config.cable = original_config
+      ActionCable.server.restart
+    end
+
+    before do
+      allow(ENV).to receive(:[]).and_call_original
+      allow(ENV).to receive(:[]).with('OPENWEATHER_API_KEY').and_return('dummy_key')
+      stub_request(:get, /api.openweathermap.org\/data\/2.5\/weather/)
+        .to_return(status: 200, body: { main: { temp: 66.25 }, weather: [{ description: 'overcast clouds' }] }.to_json,
+                   headers: { 'Content-Type' => 'application/json' })
+      stub_request(:get, /api.openweathermap.org\/data\/2.5\/forecast/)
+        .to_return(status: 200, body: { list: [], city: { timezone: -14_400 } }.to_json, headers: { 'Content-Type' => 'application/json' })
+    end
+
+    it 'delivers the forecast WeatherForecastService fetches to a subscriber' do
+      subscribe(keys: [coords_key])
+      expect(ActionCable.server.pubsub).to be_a(ActionCable::SubscriptionAdapter::Async)
+
+      subscribed = Queue.new
+      subscription.streams.each do |stream|
+        ActionCable.server.pubsub.subscribe(stream, ->(message) { received << JSON.parse(message) }, -> { subscribed << stream })
+      end
+      subscribed.pop(timeout: 5)
+
+      WeatherForecastService.new(location).fetch_forecast
+      message = received.pop(timeout: 5)
+
+      expect(message).to include('key' => coords_key)
+      expect(message.dig('forecast', 'forecast', 'current', 'temp_f')).to eq(66.25)
+    end
+  end
+end
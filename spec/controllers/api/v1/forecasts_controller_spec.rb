@@ -221,6 +221,40 @@ RSpec.describe Api::V1::ForecastsController, type: :controller do
       end
     end # end of context 'when using place_id parameter'
 
+    context 'when using lat/lng parameters without a place_id' do
+      let(:location_from_coordinates) do
+        build_stubbed(:location, address: 'New York, NY, USA', latitude: 40.7128, longitude: -74.006, google_place_id: nil)
+      end
+
+      before do
+        allow(Location).to receive(:find_or_create_by_coordinates).with(40.7128, -74.006).and_return(location_from_coordinates)
+      end
+
+      it 'returns a successful response with the reverse-geocoded address and forecast data' do
+        post :create, params: { lat: '40.7128', lng: '-74.006' }
+
+        expect(response).to have_http_status(:ok)
+        json_response = response.parsed_body.deep_symbolize_keys
+        expect(json_response[:address]).to eq('New York, NY, USA')
+        expect(json_response[:google_place_id]).to be_nil
+        expect(json_response[:forecast]).to eq(forecast_data_from_service)
+      end
+
+      it 'returns an unprocessable_entity error for out-of-range coordinates' do
+        post :create, params: { lat: '91', lng: '-74.006' }
+
+        expect(response).to have_http_status(:unprocessable_entity)
+        expect(response.parsed_body['error']).to eq('Latitude must be between -90 and 90 and longitude between -180 and 180.')
+        expect(Location).not_to have_received(:find_or_create_by_coordinates)
+      end
+
+      it 'returns an unprocessable_entity error for non-numeric coordinates' do
+        post :create, params: { lat: 'north', lng: '-74.006' }
+
+        expect(response).to have_http_status(:unprocessable_entity)
+      end
+    end
+
     # Original context 'with invalid address' - this is now more like 'WeatherForecastService raises an error'
     # context 'with invalid address' do
     #   before do
@@ -243,8 +277,63 @@ RSpec.describe Api::V1::ForecastsController, type: :controller do
 
         expect(response).to have_http_status(:unprocessable_entity)
         json_response = JSON.parse(response.body)
-        expect(json_response['error']).to eq('Address or Place ID is required')
+        expect(json_response['error']).to eq('Address, Place ID or coordinates are required')
       end
     end
   end
+
+  describe 'POST #batch' do
+    let(:forecast_data_from_service) { { current: { temp_f: 68.0, conditions: 'clear sky' }, forecast: [] } }
+    let(:weather_service_double) { instance_double(WeatherForecastService, fetch_forecast: forecast_data_from_service) }
+    let(:new_york) { build_stubbed(:location, address: 'New York, NY, USA', latitude: 40.7128, longitude: -74.006, google_place_id: nil) }
+    let(:london) { build_stubbed(:location, address: 'London, UK', latitude: 51.5072, longitude: -0.1276, google_place_id: nil) }
+
+    before do
+      allow(WeatherForecastService).to receive(:new).and_return(weather_service_double)
+      allow(Location).to receive(:find_or_create_by_coordinates).with(40.7128, -74.006).and_return(new_york)
+      allow(Location).to receive(:find_or_create_by).with(address: 'London, UK').and_return(london)
+    end
+
+    it 'returns one forecast per lookup, in the order requested' do
+      post :batch, params: { lookups: [{ address: 'London, UK' }, { lat: '40.7128', lng: '-74.006' }] }, as: :json
+
+      expect(response).to have_http_status(:ok)
+      forecasts = response.parsed_body.deep_symbolize_keys[:forecasts]
+      expect(forecasts.map { |forecast| forecast[:address] }).to eq(['London, UK', 'New York, NY, USA'])
+      expect(forecasts.first[:forecast]).to eq(forecast_data_from_service)
+    end
+
+    it 'reports failed lookups in place without failing the others' do
+      post :batch, params: { lookups: [{ lat: '91', lng: '0' }, { address: 'London, UK' }, {}] }, as: :json
+
+      expect(response).to have_http_status(:ok)
+      forecasts = response.parsed_body.deep_symbolize_keys[:forecasts]
+      expect(forecasts[0]).to eq(error: 'Latitude must be between -90 and 90 and longitude between -180 and 180.', status: 422)
+      expect(forecasts[1][:address]).to eq('London, UK')
+      expect(forecasts[2]).to eq(error: 'Address, Place ID or coordinates are required', status: 422)
+    end
+
+    it 'reports forecast service failures with the status #create would use' do
+      allow(weather_service_double).to receive(:fetch_forecast).and_raise(WeatherForecastService::ForecastError.new('Service down'))
+
+      post :batch, params: { lookups: [{ address: 'London, UK' }] }, as: :json
+
+      expect(response.parsed_body.deep_symbolize_keys[:forecasts]).to eq([{ error: 'Service down', status: 500 }])
+    end
+
+    it 'rejects an empty list of lookups' do
+      post :batch, params: { lookups: [] }, as: :json
+
+      expect(response).to have_http_status(:unprocessable_entity)
+      expect(response.parsed_body['error']).to eq('Lookups must be a list of 1 to 20 places')
+    end
+
+    it 'rejects more lookups than the batch limit' do
+      lookups = Array.new(described_class::MAX_BATCH_SIZE + 1) { { address: 'London, UK' } }
+      post :batch, params: { lookups: lookups }, as: :json
+
+      expect(response).to have_http_status(:unprocessable_entity)
+      expect(WeatherForecastService).not_to have_received(:new)
+    end
+  end
 end
@@ -0,0 +1,47 @@
+# frozen_string_literal: true
+
+require 'rails_helper'
+
+RSpec.describe ServiceWorkerController, type: :controller do
+  render_views
+
+  describe 'GET #show' do
+    before do
+      # The stylesheet is built by tailwindcss-rails, which the test environment may not have run.
+      allow(controller.helpers).to receive(:asset_path).and_call_original
+      allow(controller.helpers).to receive(:asset_path).with('tailwind.css').and_return('/assets/tailwind-0123abcd.css')
+    end
+
+    it 'serves the worker as JavaScript that browsers revalidate on every visit' do
+      get :show, format: :js
+
+      expect(response).to have_http_status(:ok)
+      expect(response.media_type).to eq('text/javascript')
+      expect(response.headers['Cache-Control']).to include('no-cache')
+    end
+
+    it 'lists the page and its assets for the shell cache' do
+      get :show, format: :js
+
+      shell_urls = JSON.parse(response.body[/const SHELL_URLS = (.*);$/, 1])
+      expect(shell_urls.first).to eq('/')
+      expect(shell_urls).to include('/assets/tailwind-0123abcd.css')
+      expect(shell_urls).to include(a_string_matching(%r{\A/assets/application-\h+\.js\z}))
+    end
+
+    it 'versions the shell cache by the URLs it holds' do
+      get :show, format: :js
+      first_version = response.body[/const CACHE_VERSION = '(\h+)';/, 1]
+
+      allow(controller.helpers).to receive(:asset_path).with('tailwind.css').and_return('/assets/tailwind-4567cdef.css')
+      get :show, format: :js
+
+      expect(first_version).to be_present
+      expect(response.body[/const CACHE_VERSION = '(\h+)';/, 1]).not_to eq(first_version)
+    end
+  end
+
+  it 'is routed from the site root' do
+    expect(Rails.application.routes.recognize_path('/service-worker.js')).to eq(controller: 'service_worker', action: 'show', format: 'js')
+  end
+end
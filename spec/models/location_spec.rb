@@ -252,6 +252,24 @@ RSpec.describe Location, type: :model do
         end
       end
     end
+
+    describe '#forecast_response' do
+      let(:location) { build(:location, :with_forecast, google_place_id: 'ChIJOwg_06VPwokRYv534QaPC8g', address: 'New York, NY, USA') }
+
+      it 'describes the location with its cached forecast' do
+        expect(location.forecast_response).to eq(
+          google_place_id: 'ChIJOwg_06VPwokRYv534QaPC8g',
+          address: 'New York, NY, USA',
+          latitude: location.latitude,
+          longitude: location.longitude,
+          forecast: location.forecast_data
+        )
+      end
+
+      it 'uses the given forecast instead of the cached one' do
+        expect(location.forecast_response({ current: { temp_f: 70.0 } })[:forecast]).to eq(current: { temp_f: 70.0 })
+      end
+    end
   end
 
   describe 'class methods' do
@@ -272,5 +290,31 @@ RSpec.describe Location, type: :model do
         end.not_to change(described_class, :count)
       end
     end
+
+    describe '.find_or_create_by_coordinates' do
+      it 'creates a location with a reverse-geocoded address and rounded coordinates' do
+        location = described_class.find_or_create_by_coordinates(40.712776, -74.005974)
+
+        expect(location).to be_persisted
+        expect(location.address).to eq('New York, NY, USA')
+        expect(location.latitude).to eq(BigDecimal('40.7128'))
+        expect(location.longitude).to eq(BigDecimal('-74.006'))
+      end
+
+      it 'falls back to the coordinates when reverse geocoding finds nothing' do
+        allow(described_class).to receive(:reverse_geocode).and_return(nil)
+
+        location = described_class.find_or_create_by_coordinates(51.5074, -0.1278)
+        expect(location.address).to eq('51.5074, -0.1278')
+      end
+
+      it 'returns the existing location for nearby coordinates' do
+        existing_location = described_class.find_or_create_by_coordinates(40.7128, -74.006)
+
+        expect do
+          expect(described_class.find_or_create_by_coordinates(40.71281, -74.00601)).to eq(existing_location)
+        end.not_to change(described_class, :count)
+      end
+    end
   end
 end
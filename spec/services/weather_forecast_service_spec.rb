@@ -39,9 +39,20 @@ RSpec.describe WeatherForecastService do
         expect(current_weather[:temp_f]).to be_a(Float)
         expect(current_weather[:conditions]).to be_a(String)
 
-        # OpenWeatherMap's /weather endpoint only provides current conditions, not a multi-day forecast.
-        # The service.format_forecast method reflects this by returning an empty array for :forecast.
-        expect(result[:forecast]).to eq([])
+        # The /forecast periods are grouped into days in the location's local time (UTC-4 here).
+        expect(result[:forecast].map { |day| day[:date] }).to eq(%w[2025-05-12 2025-05-13])
+      end
+
+      # Replays the cassette recorded for the example above; it includes the /forecast response.
+      it 'returns daily highs, lows and precipitation chance with hourly periods',
+         vcr: { cassette_name: 'WeatherForecastService/_fetch_forecast/when_the_API_request_is_successful/' \
+                               'returns_formatted_current_weather_data' } do
+        first_day, second_day = service.fetch_forecast[:forecast]
+
+        expect(first_day).to include(high_f: 65.1, low_f: 60.6, precipitation_chance: 12)
+        expect(first_day[:hourly].size).to eq(2)
+        expect(second_day[:conditions]).to eq('Broken Clouds')
+        expect(second_day[:hourly].first).to include(:time, :temp_f, :feels_like_f, :precipitation_chance, :conditions, :icon_code)
       end
 
       it 'updates the location with the latest forecast data' do
@@ -74,6 +85,38 @@ RSpec.describe WeatherForecastService do
       it 'raises a ForecastError' do
         expect { service.fetch_forecast }.to raise_error(WeatherForecastService::ForecastError, /Failed to fetch weather forecast: Invalid request parameters/)
       end
+
+      it 'does not broadcast anything' do
+        expect do
+          service.fetch_forecast
+        rescue WeatherForecastService::ForecastError
+          nil
+        end.not_to have_broadcasted_to('forecast:coords:40.7128,-74.0060')
+      end
+    end
+
+    context 'when only the extended forecast request fails' do
+      before do
+        stub_request(:get, /api.openweathermap.org\/data\/2.5\/weather/)
+          .to_return(status: 200, body: { main: { temp: 66.25 }, weather: [{ description: 'overcast clouds' }] }.to_json,
+                     headers: { 'Content-Type' => 'application/json' })
+        stub_request(:get, /api.openweathermap.org\/data\/2.5\/forecast/)
+          .to_return(status: 503, body: { message: 'Service Unavailable' }.to_json, headers: { 'Content-Type' => 'application/json' })
+      end
+
+      it 'returns current conditions with an empty forecast' do
+        result = service.fetch_forecast
+
+        expect(result[:current][:temp_f]).to eq(66.25)
+        expect(result[:forecast]).to eq([])
+      end
+
+      it 'broadcasts the new forecast to pages following the location' do
+        expect { service.fetch_forecast }
+          .to have_broadcasted_to('forecast:coords:40.7128,-74.0060')
+          .with(a_hash_including('key' => 'coords:40.7128,-74.0060',
+                                 'forecast' => a_hash_including('forecast' => a_hash_including('current' => a_hash_including('temp_f' => 66.25)))))
+      end
     end
 
     context 'when the API key is missing' do
@@ -0,0 +1,18 @@
+# frozen_string_literal: true
+
+# System specs drive the page in headless Chrome against the offline Places provider
+# and forecast backend (app/javascript/forecast/fakes.js), so they need neither
+# network access nor a Maps key. Other specs see the environment's own setting.
+RSpec.configure do |config|
+  config.before(type: :system) do
+    driven_by :selenium, using: :headless_chrome, screen_size: [1280, 900]
+  end
+
+  config.around(type: :system) do |example|
+    original_fake_services = Rails.configuration.x.fake_services
+    Rails.configuration.x.fake_services = %w[places forecasts]
+    example.run
+  ensure
+    Rails.configuration.x.fake_services = original_fake_services
+  end
+end
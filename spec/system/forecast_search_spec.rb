@@ -0,0 +1,42 @@
+# frozen_string_literal: true
+
+require 'rails_helper'
+
+RSpec.describe 'Forecast search' do
+  it 'shows the forecast for a place picked from the suggestions' do
+    visit root_path
+
+    find('input[data-fake-places]').set('Tok')
+    find('#fake-place-suggestions [data-place-id="fake-tokyo"]').click
+
+    expect(page).to have_css('#selected-place-title', text: 'Tokyo, Japan')
+    expect(page).to have_css('#selected-place-info', text: '°F')
+  end
+
+  it 'renders the stubbed forecast backend response in the forecast card' do
+    visit root_path
+
+    find('input[data-fake-places]').set('Tokyo').send_keys(:enter)
+
+    within('#selected-place-info') do
+      expect(page).to have_text('60%') # Humidity
+      expect(page).to have_text('8 mph SW, gusts 14 mph')
+      expect(page).to have_text('29.97 inHg')
+      expect(page).to have_text('35.6762, 139.6503')
+    end
+    expect(Location.count).to eq(0) # Answered in the browser, not by POST /api/v1/forecasts
+  end
+
+  it 'looks up a shared link through the stubbed forecast backend' do
+    visit root_path(place_id: 'fake-london', lat: 51.5072, lng: -0.1276)
+
+    expect(page).to have_css('#selected-place-title', text: 'London, UK')
+    expect(page).to have_css('#selected-place-info', text: '51.5072, -0.1276')
+  end
+
+  it 'marks the page as using the fake services' do
+    visit root_path
+
+    expect(page).to have_css('meta[name="forecast-fake-services"][content="places forecasts"]', visible: :hidden)
+  end
+end